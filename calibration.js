@@ -0,0 +1,312 @@
+// Context Truncator - calibration math and state machine
+// REQ-016: Pure functions only. No SillyTavern imports, no getContext, no network - everything
+// comes in through arguments, so recorded generations (e.g. an exported calibration log) can be
+// replayed under Node:
+//
+//   node tools/replay_calibration.mjs [calibration_log.json]
+//
+// which checks the factor against the logged sizes and the state machine against re-sized ones
+// (default: the synthetic log in tools/fixtures).
+
+export const TRAINING_GENERATIONS = 2;  // Generations needed to train correction factor (reduced from 3)
+export const STABLE_THRESHOLD = 5;      // Consecutive stable gens to reach STABLE state
+
+// V32 FIX: Clamp correction factor to prevent runaway deviation
+// Lower bound relaxed from 0.7 to 0.5 to handle edge cases
+export const MIN_CORRECTION_FACTOR = 0.5;
+export const MAX_CORRECTION_FACTOR = 1.5;
+
+const FACTOR_CONVERGED_CHANGE = 0.02;   // V34: < 2% change = converged
+const FACTOR_UNSTABLE_CHANGE = 0.10;    // Only decay stable count for very large swings
+const TARGET_DAMPING = 0.7;             // Fix 4.1: Only move 70% of the way to the new target
+const TARGET_MIN_CHANGE = 0.03;         // V33: Reduced from 5% to 3% - dampening already prevents oscillation
+
+export function create_calibration_state(phase = 'WAITING') {
+    return {
+        phase,
+        generation_count: 0,
+        stable_count: 0,
+        retrain_count: 0,
+        last_factor: 1.0,
+    };
+}
+
+// V33: Skip factor update in STABLE, or when prediction is already very accurate (<1% error)
+export function should_update_factor({ phase, actual_size, predicted_size, predicted_chat }) {
+    if (!(predicted_size > 0) || !(predicted_chat > 0)) return false;
+    const predictionError = Math.abs(actual_size - predicted_size) / predicted_size;
+    return phase !== 'STABLE' && predictionError >= 0.01;
+}
+
+// Smoothed correction factor from one generation
+// V29 FIX: The raw factor uses the RAW chat prediction (not corrected), which breaks the feedback
+// loop where corrected predictions caused factor convergence to sqrt(target)
+export function update_correction_factor({ factor, actual_chat, predicted_chat, predicted_chat_raw, first_measurement = false }) {
+    const rawFactor = actual_chat / predicted_chat_raw;
+    const error = Math.abs(predicted_chat - actual_chat) / actual_chat;
+
+    // V33: Use higher weight on first measurement (faster initial convergence)
+    const weight = first_measurement ? 0.80 : (error > 0.20 ? 0.60 : 0.40);
+    const smoothed = (weight * rawFactor) + ((1 - weight) * factor);
+
+    return {
+        factor: Math.max(MIN_CORRECTION_FACTOR, Math.min(MAX_CORRECTION_FACTOR, smoothed)),
+        raw_factor: rawFactor,
+        weight,
+        error,
+    };
+}
+
+// V33: Learned non-chat share of the prompt, clamped to 20% - 60%
+export function update_non_chat_ratio(ratio, actual_size, actual_non_chat) {
+    if (!(actual_size > 0) || !(actual_non_chat > 0)) return ratio;
+    return Math.max(0.20, Math.min(0.60, actual_non_chat / actual_size));
+}
+
+// REQ-017: Non-chat prompt blocks with their own factor (chat keeps the main factor above).
+// Lore (LoreVault / world info) is a fourth, uncorrected category: activations come and go
+// between generations, and fitting them would push the static factor around.
+export const FACTOR_CATEGORIES = ['summaries', 'memories', 'static'];
+const MAX_CATEGORY_FACTOR_STEP = 0.05;  // Most one generation can move a category factor
+
+export function create_category_factors() {
+    return Object.fromEntries(FACTOR_CATEGORIES.map(key => [key, 1.0]));
+}
+
+// Fit every category factor from one generation: actual / predicted_raw, both tokens per category
+// of that same generation (predicted_raw being its uncorrected prediction). One step moves a
+// factor by at most MAX_CATEGORY_FACTOR_STEP. Categories absent on either side keep their factor.
+export function update_category_factors(factors, { actual, predicted_raw }) {
+    const next = { ...create_category_factors(), ...factors };
+    for (const key of FACTOR_CATEGORIES) {
+        if (!(actual?.[key] > 0) || !(predicted_raw?.[key] > 0)) continue;
+        const fitted = update_correction_factor({
+            factor: next[key],
+            actual_chat: actual[key],
+            predicted_chat: predicted_raw[key] * next[key],
+            predicted_chat_raw: predicted_raw[key],
+        }).factor;
+        const step = Math.max(-MAX_CATEGORY_FACTOR_STEP, Math.min(MAX_CATEGORY_FACTOR_STEP, fitted - next[key]));
+        next[key] += step;
+    }
+    return next;
+}
+
+// Corrected non-chat tokens: every factor category scaled by its own factor, lore as measured
+export function apply_category_factors(tokens, factors) {
+    return FACTOR_CATEGORIES.reduce((sum, key) => sum + Math.floor((tokens[key] ?? 0) * (factors?.[key] ?? 1)), tokens.lore ?? 0);
+}
+
+// Text of an injected block as it landed in the raw prompt - from its first to its last non-empty
+// line, so whatever the prompt did in between (macros, whitespace) is included. null when absent.
+export function find_prompt_block(raw_prompt, block) {
+    if (!raw_prompt || !block) return null;
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) return null;
+    const first = lines[0];
+    const last = lines[lines.length - 1];
+    const start = raw_prompt.indexOf(first);
+    if (start === -1) return null;
+    const end = raw_prompt.indexOf(last, start + (lines.length > 1 ? first.length : 0));
+    if (end === -1) return null;
+    return raw_prompt.substring(start, end + last.length);
+}
+
+// Dampened target that makes the (corrected) prompt reach the ideal utilization
+// REQ-011: peak_ratio < 1 when the prompt peaks below the target (watermark mode)
+export function compute_calibrated_target({ max_context, target_utilization, factor, current_target, peak_ratio = 1 }) {
+    const idealTarget = Math.floor(max_context * target_utilization);
+    const rawTarget = Math.floor(idealTarget / factor / peak_ratio);
+    const dampened = Math.floor(current_target + (rawTarget - current_target) * TARGET_DAMPING);
+
+    // Clamp to reasonable bounds (30% - 95% of max context)
+    const target = Math.max(Math.floor(max_context * 0.3), Math.min(Math.floor(max_context * 0.95), dampened));
+    const change = Math.abs(target - current_target) / current_target;
+
+    return { target, ideal: idealTarget, raw: rawTarget, dampened, change, apply: change > TARGET_MIN_CHANGE };
+}
+
+// Relative deviation of the actual prompt from the target
+// REQ-011: With watermarks ({ high, low } in tokens) only leaving the band counts
+export function compute_deviation({ actual_size, target, watermarks = null, truncation_active = false }) {
+    if (!watermarks) {
+        return Math.abs((actual_size - target) / target);
+    }
+    if (actual_size > watermarks.high) return (actual_size - watermarks.high) / target;
+    if (actual_size < watermarks.low && truncation_active) return (watermarks.low - actual_size) / target;
+    return 0;
+}
+
+// One step of the WAITING -> INITIAL_TRAINING -> CALIBRATING -> STABLE <-> RETRAINING machine.
+// Returns the next state and the events the caller turns into side effects:
+//   seed_profile, start_training, lock_index, calibrate_target, stable, destabilized, save_profile
+export function step_calibration(state, { actual_size, wait_threshold, deviation, tolerance, truncation_active, factor, has_profile = false }) {
+    const next = { ...state };
+    const events = [];
+    let factorChange = null;
+
+    switch (state.phase) {
+        case 'WAITING':
+            // V34 BUG-001 FIX: If truncation is active, start calibrating even if under threshold
+            if (actual_size < wait_threshold && !truncation_active) break;
+            next.generation_count = 0;
+            if (has_profile) {
+                // REQ-014: A matching model profile already knows the factor - skip INITIAL_TRAINING
+                next.phase = 'CALIBRATING';
+                next.last_factor = factor;
+                events.push('seed_profile', 'lock_index');
+            } else {
+                next.phase = 'INITIAL_TRAINING';
+                events.push('start_training');
+            }
+            break;
+
+        case 'INITIAL_TRAINING':
+            // Wait for correction factor to stabilize
+            next.generation_count++;
+            if (next.generation_count >= TRAINING_GENERATIONS) {
+                next.phase = 'CALIBRATING';
+                next.generation_count = 0;
+                events.push('lock_index', 'calibrate_target');
+            }
+            break;
+
+        case 'CALIBRATING':
+            // V34 FIX: Use factor convergence for stability, not deviation
+            factorChange = Math.abs(factor - state.last_factor);
+            next.last_factor = factor;
+            if (factorChange < FACTOR_CONVERGED_CHANGE) {
+                next.stable_count++;
+                if (next.stable_count >= STABLE_THRESHOLD) {
+                    next.phase = 'STABLE';
+                    events.push('stable', 'lock_index');
+                }
+            } else if (factorChange > FACTOR_UNSTABLE_CHANGE) {
+                next.stable_count = Math.max(0, next.stable_count - 1);
+            }
+            break;
+
+        case 'RETRAINING':
+            // Similar to initial training but after destabilization
+            next.retrain_count++;
+            if (next.retrain_count >= TRAINING_GENERATIONS) {
+                next.phase = 'CALIBRATING';
+                next.retrain_count = 0;
+                next.stable_count = 0;
+                events.push('calibrate_target');
+            }
+            break;
+
+        case 'STABLE':
+            if (deviation <= tolerance) {
+                events.push('save_profile');
+            }
+            // Use 1.5x tolerance to avoid bouncing
+            if (deviation > tolerance * 1.5) {
+                next.phase = 'RETRAINING';
+                next.retrain_count = 0;
+                next.stable_count = 0;
+                events.push('destabilized');
+            }
+            break;
+    }
+
+    return { state: next, events, factor_change: factorChange };
+}
+
+// Chat part of a logged generation re-sized for a different target. While truncation is active
+// the kept chat is sized to the target, so a target `delta` tokens larger keeps delta / factor
+// more raw-estimated chat tokens, and the real chat grows in the logged actual/raw proportion.
+// Without truncation the whole chat fits and the entry stays as logged.
+export function resize_entry_for_target(entry, target, factor) {
+    const delta = target - (entry.target ?? target);
+    const raw = entry.predicted_chat_raw ?? 0;
+    if (delta === 0 || !((entry.truncation_index ?? 0) > 0) || !(raw > 0)) {
+        return { predicted_chat_raw: raw, actual_chat: entry.actual_chat ?? 0, actual: entry.actual };
+    }
+    const predictedChatRaw = Math.max(0, Math.round(raw + delta / factor));
+    const actualChat = Math.round((entry.actual_chat ?? 0) * predictedChatRaw / raw);
+    return {
+        predicted_chat_raw: predictedChatRaw,
+        actual_chat: actualChat,
+        actual: entry.actual - (entry.actual_chat ?? 0) + actualChat,
+    };
+}
+
+// Replay recorded generations (calibration log entries) through the factor math and the state
+// machine. The corrected chat prediction is rescaled with the simulated factor, and the target
+// follows the simulated calibration. follow_target: re-size each entry for the simulated target
+// (see resize_entry_for_target) - with sizes frozen at the logged values, a moved target can
+// never be met and STABLE keeps falling back to RETRAINING, which the live loop doesn't do.
+export function replay_calibration(trace, {
+    target_utilization = 0.80,
+    initial_factor = 1.0,
+    initial_target = null,
+    initial_state = create_calibration_state(),
+    watermark_ratios = null,
+    has_profile = false,
+    follow_target = true,
+} = {}) {
+    let state = { ...initial_state };
+    let factor = initial_factor;
+    let target = initial_target ?? trace[0]?.target ?? 0;
+    let nonChatRatio = 0.40;
+    const steps = [];
+
+    for (const entry of trace) {
+        const sized = follow_target
+            ? resize_entry_for_target(entry, target, factor)
+            : { predicted_chat_raw: entry.predicted_chat_raw ?? 0, actual_chat: entry.actual_chat ?? 0, actual: entry.actual };
+        const predictedChatRaw = sized.predicted_chat_raw;
+        const predictedChat = Math.floor(predictedChatRaw * factor);
+        const predictedSize = entry.predicted_non_chat !== undefined ? predictedChat + entry.predicted_non_chat : entry.predicted;
+        const actualChat = sized.actual_chat;
+        const actualSize = sized.actual;
+
+        if (actualChat > 0 && should_update_factor({ phase: state.phase, actual_size: actualSize, predicted_size: predictedSize, predicted_chat: predictedChat })) {
+            factor = update_correction_factor({
+                factor,
+                actual_chat: actualChat,
+                predicted_chat: predictedChat,
+                predicted_chat_raw: predictedChatRaw,
+                first_measurement: state.generation_count === 1 && state.phase === 'INITIAL_TRAINING',
+            }).factor;
+            nonChatRatio = update_non_chat_ratio(nonChatRatio, actualSize, actualSize - actualChat);
+        }
+
+        const watermarks = watermark_ratios
+            ? { high: Math.floor(target * watermark_ratios.high), low: Math.floor(target * watermark_ratios.low) }
+            : null;
+        const truncationActive = (entry.truncation_index ?? 0) > 0;
+        const deviation = compute_deviation({ actual_size: actualSize, target, watermarks, truncation_active: truncationActive });
+        const result = step_calibration(state, {
+            actual_size: actualSize,
+            wait_threshold: watermarks ? watermarks.high : target,
+            deviation,
+            tolerance: entry.tolerance ?? 0.05,
+            truncation_active: truncationActive,
+            factor,
+            has_profile,
+        });
+        state = result.state;
+
+        if (result.events.includes('calibrate_target')) {
+            const calibrated = compute_calibrated_target({
+                max_context: entry.max_context,
+                target_utilization,
+                factor,
+                current_target: target,
+                peak_ratio: watermark_ratios?.high ?? 1,
+            });
+            if (calibrated.apply) target = calibrated.target;
+        }
+
+        steps.push({ phase: state.phase, factor, target, deviation, predicted: predictedSize, actual: actualSize, events: result.events });
+    }
+
+    return {
+        steps,
+        final: { phase: state.phase, factor, target, non_chat_ratio: nonChatRatio, state },
+        converged: state.phase === 'STABLE',
+    };
+}
@@ -18,6 +18,7 @@ import {
     extension_prompt_types,
     chat_metadata,
     generateRaw,
+    saveChatDebounced,
 } from '../../../../script.js';
 
 import { 
@@ -28,6 +29,30 @@ import {
 
 import { itemizedPrompts } from '../../../../scripts/itemized-prompts.js';
 
+import {
+    TRAINING_GENERATIONS,
+    STABLE_THRESHOLD,
+    should_update_factor,
+    update_correction_factor,
+    update_non_chat_ratio,
+    compute_calibrated_target,
+    compute_deviation,
+    step_calibration,
+    create_category_factors,
+    update_category_factors,
+    apply_category_factors,
+    find_prompt_block,
+} from './calibration.js';
+
+import {
+    VALIDATION_SEVERITIES,
+    DEFAULT_VALIDATION_RULES,
+    create_validation_rule,
+    get_validation_rule_label,
+    compile_rule_regex,
+    evaluate_validation_rules,
+} from './validation.js';
+
 export { MODULE_NAME };
 
 // Module constants
@@ -46,6 +71,63 @@ const default_settings = {
     auto_calibrate_target: true,   // Enable auto-calibration
     target_utilization: 0.80,       // Target 80% of max context
     calibration_tolerance: 0.05,    // 5% tolerance before recalibrating
+    use_calibration_profiles: true, // REQ-014: Seed new chats from the matching model profile
+    calibration_profiles: {},       // REQ-014: Learned calibration keyed by API/model/tokenizer/template (global only)
+    measure_prompt_tokens: true,    // REQ-018: Store exact per-message token costs from the final prompt
+    
+    // Watermark ratchet (REQ-011): 'incremental' moves the index a batch at a time,
+    // 'watermark' holds it until the prompt crosses the high mark, then jumps to the low mark
+    truncation_strategy: 'incremental',
+    watermark_high: 1.00,             // Share of the target that triggers a move
+    watermark_low: 0.70,              // Share of the target the move lands at
+    
+    // Token budget (REQ-009)
+    context_safety_cap: 0.90,         // Never plan a prompt above this share of max context
+    min_keep_ratio: 0.10,             // Never truncate more than (1 - this) of the messages
+    budget_allocator_enabled: false,  // Split the target among the blocks below
+    // priority: lower is served first; min/max: share of the target (0-1)
+    budget_shares: {
+        response: { priority: 0, min: 0, max: 0.25 },
+        lorevault: { priority: 1, min: 0, max: 0.30 },
+        summaries: { priority: 2, min: 0, max: 0.20 },
+        qdrant: { priority: 3, min: 0, max: 0.20 },
+        chat: { priority: 4, min: 0.10, max: 1 },
+    },
+    
+    // Generation-type policies (REQ-010): refresh = recalculate, reuse = replay the last
+    // truncation and injections, skip = leave the prompt untouched
+    generation_policies: {
+        normal: 'refresh',
+        swipe: 'reuse',
+        regenerate: 'reuse',
+        continue: 'refresh',
+        impersonate: 'refresh',
+        quiet: 'reuse',
+    },
+    
+    // Prompt cache simulation (REQ-002)
+    cache_aligned_truncation: false,  // Let the cache planner pick the truncation index
+    cache_sim_generations: 10,        // Generations modeled by the planner and kept in cache history
+    
+    // Partial trimming of an oversized boundary message (REQ-008)
+    partial_trim_enabled: false,
+    partial_trim_min_tokens: 1500,    // Messages at least this large are condensed at the cut
+    partial_trim_tail_sentences: 3,   // Closing sentences kept after the summary
+    
+    // Hidden messages (REQ-013) - /hide already keeps them out of the prompt
+    summarize_hidden_messages: false, // Summarize hidden messages and inject their summaries
+    vectorize_hidden_messages: false, // Store hidden messages in Qdrant
+    
+    // Group chats (REQ-007)
+    group_min_messages_per_speaker: 0,  // Keep the last K messages of each active group member (0 = off)
+    
+    // Scene-boundary-aware truncation (REQ-004) - one regex per line
+    scene_aware_truncation: false,    // Snap the truncation point to the nearest scene boundary
+    scene_snap_window: 10,            // Max messages the cut may move to reach a boundary
+    scene_separator_patterns: "^\\s*(\\*\\s*){3,}\\s*$\n^\\s*(-{3,}|_{3,}|~{3,}|#{3,})\\s*$",
+    scene_time_skip_patterns: "\\b(later that (day|night|evening)|the next (morning|day|evening|night)|(hours|days|weeks|months) later|time skip|meanwhile)\\b",
+    scene_use_location_changes: true, // Treat location changes in summaries as boundaries
+    scene_location_patterns: "\\b(arrived (at|in)|entered|went (to|into)|returned to|headed (to|for|into)|travel+ed to|moved to)\\b",
     
     // Summary injection limits (V22)
     auto_limit_summaries: true,     // Auto-calculate max summary tokens (20% of target budget)
@@ -55,10 +137,28 @@ const default_settings = {
     auto_summarize: false,
     connection_profile: "",         // DEPRECATED: Connection profile dropdown removed — summarization uses independent summary_endpoint_url
     summary_endpoint_url: "",       // REQ-003: OpenAI-compatible summary endpoint URL (empty = use generateRaw)
+    summary_endpoint_protocol: 'auto',         // REQ-024: Adapter key from SUMMARY_PROTOCOLS, or 'auto'
+    summary_endpoint_detected_protocol: '',    // REQ-024: Adapter found by the Test probe (auto mode)
+    summary_endpoint_model: '',                // REQ-024: Model name sent to the endpoint (required by Ollama)
+    // REQ-025: Sampling for the summary endpoint (see get_summary_sampling)
+    summary_system_prompt: 'You are a helpful assistant. Respond directly without showing your thinking process.',
+    summary_temperature: 0.2,
+    summary_top_p: 1,                 // 1 = not sent
+    summary_presence_penalty: 0,      // 0 = not sent
+    summary_frequency_penalty: 0,     // 0 = not sent
+    summary_stop_sequences: '',       // One per line, \n for a newline
+    summary_extra_body: '',           // JSON object merged into the request body
+    summary_disable_glm_thinking: true,  // Send GLM's thinking: { type: 'disabled' } (OpenAI Chat only)
     summary_max_words: 50,          // Maximum words per summary
     summary_endpoint_timeout: 15000,  // Timeout in ms (increased from 10s)
     summary_request_delay: 500,       // Delay between requests in ms
     summary_max_retries: 3,           // Max retry attempts on transient errors
+    // REQ-023: Summary validation rule set (see SUMMARY VALIDATION RULES)
+    summary_validation_rules: DEFAULT_VALIDATION_RULES,
+    show_summary_badges: true,        // REQ-022: Summary state badge and inline editor under each message
+    summary_concurrency: 1,           // REQ-021: Parallel summary requests (summary endpoint only)
+    summary_rate_limit_rpm: 0,        // REQ-021: Max requests per minute to the summary endpoint (0 = unlimited)
+    summary_rate_limit_tpm: 0,        // REQ-021: Max tokens (prompt + max_tokens) per minute (0 = unlimited)
     summary_max_tokens: 800,          // Max tokens for summary generation (increased for GLM-4 compatibility)
     summary_prompt: `Summarize the following roleplay message into a single, dense sentence.
 
@@ -82,6 +182,50 @@ EXAMPLES:
 {{context_block}}MESSAGE TO SUMMARIZE:
 {{message}}
 
+SUMMARY:`,
+    
+    // REQ-019: Batch mode packs consecutive messages into one request (1 = one request per message)
+    summary_batch_size: 1,
+    summary_batch_format: 'json',     // 'json' or 'numbered' - structured output expected from the model
+    summary_batch_prompt: `Summarize each of the following numbered roleplay messages into a single, dense sentence.
+
+NAMES: {{user}} is the user's character. {{char}} is the AI character.
+
+RULES:
+• ONE sentence per message in past tense, max {{words}} words each
+• Start every summary with the speaker label: "{{char}}:", "{{user}}:", or "Narrator:"
+• Focus on: actions, decisions, emotions, key plot/worldbuilding details
+• Never add information not in the original message
+• Never include reasoning, explanations, or meta-commentary
+• Never use tags like <think>, </think>, or similar
+
+OUTPUT FORMAT:
+{{format}}
+
+{{context_block}}MESSAGES TO SUMMARIZE ({{count}}):
+{{messages}}
+
+SUMMARIES:`,
+    
+    // REQ-020: Roll-up summaries - spans that no longer fit the cap are condensed instead of dropped
+    rollup_summaries_enabled: false,
+    rollup_chapter_size: 20,          // Message summaries per chapter
+    rollup_arc_size: 5,               // Chapters per arc
+    rollup_max_words: 150,            // Maximum words per chapter/arc summary
+    rollup_prompt: `Condense the following consecutive summaries of a roleplay into one {{level}} summary.
+
+NAMES: {{user}} is the user's character. {{char}} is the AI character.
+
+RULES:
+• Output ONLY the {{level}} summary - nothing else
+• Past tense, max {{words}} words, events in chronological order
+• Keep names, decisions, relationships and lasting consequences; drop minor details
+• Never add information not in the summaries
+• Never include reasoning, explanations, or meta-commentary
+
+SUMMARIES:
+{{summaries}}
+
 SUMMARY:`,
     summary_injection_separator: "\n• ",
     summary_injection_template: `[STORY CONTEXT - Prior Events]
@@ -173,8 +317,6 @@ let LAST_STABLE_CHAT_LENGTH = 0;  // Chat length when entering STABLE state
 let CACHED_RAW_PROMPT = null;
 let CACHED_RAW_PROMPT_CHAT_LENGTH = 0;
 
-const TRAINING_GENERATIONS = 2;  // Generations needed to train correction factor (reduced from 3)
-const STABLE_THRESHOLD = 5;      // Consecutive stable gens to reach STABLE state
 
 // Qdrant token averaging for variance handling
 let QDRANT_TOKEN_HISTORY = [];  // Rolling history of Qdrant injection tokens
@@ -182,6 +324,13 @@ const QDRANT_HISTORY_SIZE = 5;  // Number of samples to average
 
 // Summary injection tracking (V22)
 let DROPPED_SUMMARY_COUNT = 0;  // Summaries dropped due to token cap
+let LAST_SUMMARY_INJECTION = '';  // REQ-002: Summary block injected for the last generation
+
+// Prompt cache simulation (REQ-002)
+let CACHE_PREVIOUS_RAW_PROMPT = null;  // Last generation's prompt, for measuring the shared prefix
+let LAST_CACHE_PROFILE = null;         // Prefix breakdown of the last prompt (used by the planner)
+let CACHE_HIT_HISTORY = [];            // Per-generation {chat_length, index, total, predicted, actual}
+let LAST_PREDICTED_CACHE_HIT = null;   // Predicted hit ratio for the upcoming generation
 
 // Debug summary tracking (V33)
 let DEBUG_SEGMENT_COUNT = 0;
@@ -334,15 +483,157 @@ function initialize_settings() {
     }
 }
 
+// REQ-005: Layered resolution - chat overrides, then character overrides, then global, then defaults
 function get_settings(key) {
-    return extension_settings[MODULE_NAME]?.[key] ?? default_settings[key];
+    return PREVIEW_SETTINGS_OVERRIDES?.[key]
+        ?? get_chat_settings_overrides()?.[key]
+        ?? CHARACTER_SETTINGS_OVERRIDES?.[key]
+        ?? extension_settings[MODULE_NAME]?.[key]
+        ?? default_settings[key];
 }
 
-function set_settings(key, value) {
+// Without an explicit layer, writes go to whichever layer currently supplies the value. Only UI
+// edits rely on that; automatic writes pass their layer (see get_calibration_layer).
+function set_settings(key, value, layer = null) {
+    if (!layer) {
+        const source = get_settings_source(key);
+        layer = source === 'default' ? 'global' : source;
+    }
+
+    if (layer === 'chat') {
+        if (!chat_metadata[MODULE_NAME]) {
+            chat_metadata[MODULE_NAME] = {};
+        }
+        if (!chat_metadata[MODULE_NAME].settings_overrides) {
+            chat_metadata[MODULE_NAME].settings_overrides = {};
+        }
+        chat_metadata[MODULE_NAME].settings_overrides[key] = value;
+        saveMetadataDebounced();
+        return;
+    }
+
+    if (layer === 'character') {
+        if (get_active_character()) {
+            CHARACTER_SETTINGS_OVERRIDES = { ...(CHARACTER_SETTINGS_OVERRIDES ?? {}), [key]: value };
+            save_character_settings_overrides();
+            return;
+        }
+        toastr.warning('No single character selected - setting saved globally', MODULE_NAME_FANCY);
+    }
+
     extension_settings[MODULE_NAME][key] = value;
     saveSettingsDebounced();
 }
 
+// ==================== SETTINGS PROFILES ====================
+// REQ-005: Character overrides live in the character card's extension data,
+// chat overrides in chat_metadata. The settings UI edits one layer at a time.
+
+let SETTINGS_EDIT_LAYER = 'global';       // Layer the settings UI writes to: global | character | chat
+let CHARACTER_SETTINGS_OVERRIDES = null;  // Cached overrides of the active character (refreshed on chat change)
+let BOUND_SETTINGS = [];                  // {key, selector, refresh} for re-syncing controls
+let PREVIEW_SETTINGS_OVERRIDES = null;    // REQ-006: Transient top layer used only during a dry run
+
+function get_chat_settings_overrides() {
+    return chat_metadata?.[MODULE_NAME]?.settings_overrides;
+}
+
+// Character whose card holds the character layer (none in group chats)
+function get_active_character() {
+    const ctx = getContext();
+    if (ctx.groupId || ctx.characterId === undefined || ctx.characterId === null) return null;
+    return ctx.characters?.[ctx.characterId] ?? null;
+}
+
+function load_character_settings_overrides() {
+    CHARACTER_SETTINGS_OVERRIDES = get_active_character()?.data?.extensions?.[MODULE_NAME]?.settings_overrides ?? null;
+}
+
+function save_character_settings_overrides() {
+    const ctx = getContext();
+    const existing = get_active_character()?.data?.extensions?.[MODULE_NAME] ?? {};
+    Promise.resolve(ctx.writeExtensionField(ctx.characterId, MODULE_NAME, {
+        ...existing,
+        settings_overrides: CHARACTER_SETTINGS_OVERRIDES,
+    })).catch(e => error('Failed to save character settings:', e));
+}
+
+// Most specific layer that defines a key
+function get_settings_source(key) {
+    if (get_chat_settings_overrides()?.[key] !== undefined) return 'chat';
+    if (CHARACTER_SETTINGS_OVERRIDES?.[key] !== undefined) return 'character';
+    if (extension_settings[MODULE_NAME]?.[key] !== undefined) return 'global';
+    return 'default';
+}
+
+// Remove one key (or all keys when key is null) from a character/chat layer
+function clear_settings_override(layer, key = null) {
+    if (layer === 'chat') {
+        const overrides = get_chat_settings_overrides();
+        if (!overrides) return;
+        if (key === null) {
+            delete chat_metadata[MODULE_NAME].settings_overrides;
+        } else {
+            delete overrides[key];
+        }
+        saveMetadataDebounced();
+    } else if (layer === 'character') {
+        if (!CHARACTER_SETTINGS_OVERRIDES) return;
+        if (key === null) {
+            CHARACTER_SETTINGS_OVERRIDES = null;
+        } else {
+            delete CHARACTER_SETTINGS_OVERRIDES[key];
+        }
+        save_character_settings_overrides();
+    }
+    debug(`Cleared ${key ?? 'all'} ${layer} override(s)`);
+    refresh_bound_settings();
+    refresh_memory();
+}
+
+// Register a settings control so it can be re-synced when the layer or chat changes
+function register_bound_setting(selector, key, refresh) {
+    BOUND_SETTINGS.push({ selector, key, refresh });
+    refresh();
+}
+
+// Show effective values and mark controls whose value comes from a character/chat override
+function refresh_bound_settings() {
+    for (const { selector, key, refresh } of BOUND_SETTINGS) {
+        refresh();
+
+        const source = get_settings_source(key);
+        const $container = $(selector).closest('.ct_compact_setting, .ct_compact_checkbox, .ct_compact_input');
+        $container.find('.ct_override_badge').remove();
+        if (source === 'chat' || source === 'character') {
+            const $badge = $(`<i class="fa-solid fa-layer-group ct_override_badge ct_override_${source}"></i>`)
+                .attr('title', `Effective value comes from the ${source} layer - click to clear this override`)
+                .on('click', (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    clear_settings_override(source, key);
+                });
+            $container.find('.ct_setting_label, label').first().append($badge);
+        }
+    }
+    update_settings_layer_info();
+}
+
+// Summary of the overrides stored in each layer
+function update_settings_layer_info() {
+    const chatCount = Object.keys(get_chat_settings_overrides() ?? {}).length;
+    const characterCount = Object.keys(CHARACTER_SETTINGS_OVERRIDES ?? {}).length;
+    const hasCharacter = !!get_active_character();
+
+    $('#ct_settings_layer option[value="character"]').prop('disabled', !hasCharacter);
+    if (!hasCharacter && SETTINGS_EDIT_LAYER === 'character') {
+        SETTINGS_EDIT_LAYER = 'global';
+        $('#ct_settings_layer').val('global');
+    }
+    $('#ct_settings_layer_info').text(`${characterCount} character, ${chatCount} chat override${chatCount === 1 ? '' : 's'}`);
+    $('#ct_settings_layer_clear').prop('disabled', SETTINGS_EDIT_LAYER === 'global');
+}
+
 // Token counting with fallback for large inputs
 // SillyTavern's tokenizer returns 0 for inputs > ~200K chars
 const TOKENIZER_CHAR_LIMIT = 150000;  // Conservative limit
@@ -402,6 +693,148 @@ function get_memory(message) {
     return get_data(message, 'memory') ?? "";
 }
 
+// ==================== PROMPT FORMAT REGISTRY ====================
+// REQ-001: Per-message wrapper tokens depend on the prompt format. Each entry describes
+// how a message is wrapped (prefix/suffix per role) and how to recognize it in a raw prompt.
+// When an instruct template is active, its own sequences override the registry defaults.
+const PROMPT_FORMATS = {
+    llama3: {
+        name: 'Llama 3',
+        signature: '<|start_header_id|>',
+        user_prefix: '<|start_header_id|>user<|end_header_id|>\n\n',
+        user_suffix: '<|eot_id|>',
+        assistant_prefix: '<|start_header_id|>assistant<|end_header_id|>\n\n',
+        assistant_suffix: '<|eot_id|>',
+        system_prefix: '<|start_header_id|>system<|end_header_id|>\n\n',
+    },
+    chatml: {
+        name: 'ChatML',
+        signature: '<|im_start|>',
+        user_prefix: '<|im_start|>user\n',
+        user_suffix: '<|im_end|>\n',
+        assistant_prefix: '<|im_start|>assistant\n',
+        assistant_suffix: '<|im_end|>\n',
+        system_prefix: '<|im_start|>system\n',
+    },
+    command_r: {
+        name: 'Command-R',
+        signature: '<|START_OF_TURN_TOKEN|>',
+        user_prefix: '<|START_OF_TURN_TOKEN|><|USER_TOKEN|>',
+        user_suffix: '<|END_OF_TURN_TOKEN|>',
+        assistant_prefix: '<|START_OF_TURN_TOKEN|><|CHATBOT_TOKEN|>',
+        assistant_suffix: '<|END_OF_TURN_TOKEN|>',
+        system_prefix: '<|START_OF_TURN_TOKEN|><|SYSTEM_TOKEN|>',
+    },
+    gemma: {
+        name: 'Gemma',
+        signature: '<start_of_turn>',
+        user_prefix: '<start_of_turn>user\n',
+        user_suffix: '<end_of_turn>\n',
+        assistant_prefix: '<start_of_turn>model\n',
+        assistant_suffix: '<end_of_turn>\n',
+        system_prefix: '',
+    },
+    mistral: {
+        name: 'Mistral',
+        signature: '[INST]',
+        user_prefix: '[INST] ',
+        user_suffix: ' [/INST]',
+        assistant_prefix: '',
+        assistant_suffix: '</s>',
+        system_prefix: '',
+    },
+    alpaca: {
+        name: 'Alpaca',
+        signature: '### Instruction:',
+        user_prefix: '### Instruction:\n',
+        user_suffix: '\n\n',
+        assistant_prefix: '### Response:\n',
+        assistant_suffix: '\n\n',
+        system_prefix: '',
+    },
+    vicuna: {
+        name: 'Vicuna',
+        signature: 'USER:',
+        user_prefix: 'USER: ',
+        user_suffix: '\n',
+        assistant_prefix: 'ASSISTANT: ',
+        assistant_suffix: '</s>\n',
+        system_prefix: '',
+    },
+};
+
+// Chat completion APIs wrap each message in a fixed role envelope (~3 tokens per message)
+const CHAT_COMPLETION_MESSAGE_OVERHEAD = 3;
+
+// Last chat-completion message array seen in itemized prompts (role info is lost when normalized)
+let LAST_RAW_PROMPT_MESSAGES = null;
+
+// Detect which registry entry an instruct template belongs to
+function detect_prompt_format_id(text) {
+    if (!text) return null;
+    for (const [id, format] of Object.entries(PROMPT_FORMATS)) {
+        if (text.includes(format.signature)) return id;
+    }
+    return null;
+}
+
+// Resolve the prompt format of the active API / instruct template
+function get_active_prompt_format() {
+    const ctx = getContext();
+
+    if (ctx.mainApi === 'openai') {
+        return {
+            id: 'chat_completion',
+            name: 'Chat Completion',
+            message_overhead: CHAT_COMPLETION_MESSAGE_OVERHEAD,
+        };
+    }
+
+    const instruct = ctx.powerUserSettings?.instruct;
+    if (instruct?.enabled) {
+        const id = detect_prompt_format_id(`${instruct.input_sequence ?? ''}${instruct.output_sequence ?? ''}`);
+        const base = (id && PROMPT_FORMATS[id]) || {};
+        const separator = instruct.wrap ? '\n' : '';
+        const wrap = (sequence) => sequence ? `${sequence}${separator}` : '';
+        return {
+            ...base,
+            id: id || 'instruct',
+            name: instruct.preset || base.name || 'Instruct',
+            user_prefix: wrap(instruct.input_sequence),
+            user_suffix: `${instruct.input_suffix ?? ''}${separator}`,
+            assistant_prefix: wrap(instruct.output_sequence),
+            assistant_suffix: `${instruct.output_suffix || instruct.stop_sequence || ''}${separator}`,
+            system_prefix: wrap(instruct.system_sequence),
+            include_names: instruct.names_behavior ? instruct.names_behavior !== 'none' : !!instruct.names,
+        };
+    }
+
+    // Plain text completion: messages are written as "Name: text"
+    return {
+        id: 'plain',
+        name: 'Text Completion',
+        user_prefix: `${ctx.name1}: `,
+        user_suffix: '\n',
+        assistant_prefix: `${ctx.name2}: `,
+        assistant_suffix: '\n',
+        system_prefix: '',
+    };
+}
+
+// Tokens each role adds around a message's content in the prompt
+function get_prompt_format_wrapper_tokens(format = get_active_prompt_format()) {
+    if (format.message_overhead !== undefined) {
+        return { user: format.message_overhead, assistant: format.message_overhead };
+    }
+
+    const ctx = getContext();
+    const names = (name) => format.include_names ? `${name}: ` : '';
+    return {
+        user: count_tokens(`${format.user_prefix}${names(ctx.name1)}${format.user_suffix}`),
+        assistant: count_tokens(`${format.assistant_prefix}${names(ctx.name2)}${format.assistant_suffix}`),
+    };
+}
+
 // Previous prompt detection
 function normalize_raw_prompt(raw_prompt) {
     if (Array.isArray(raw_prompt)) {
@@ -426,8 +859,15 @@ function get_last_prompt_raw() {
     if (raw_prompt === undefined) {
         return undefined;
     }
-    
-    return normalize_raw_prompt(raw_prompt);
+
+    const normalized = normalize_raw_prompt(raw_prompt);
+
+    // REQ-001: Keep chat-completion roles around so segments can be parsed without headers
+    if (Array.isArray(raw_prompt)) {
+        LAST_RAW_PROMPT_MESSAGES = { text: normalized, messages: raw_prompt };
+    }
+
+    return normalized;
 }
 
 function get_previous_prompt_size() {
@@ -444,80 +884,112 @@ function get_previous_prompt_size() {
 }
 
 // Parse raw prompt into chat segments with token counts
-function get_prompt_chat_segments_from_raw(raw_prompt) {
+function get_prompt_chat_segments_from_raw(raw_prompt, format = null) {
     if (!raw_prompt) {
         debug('  get_prompt_chat_segments_from_raw: No raw prompt');
         return null;
     }
-    
-    // Try ChatML format first: <|im_start|>role
-    const chatml_regex = /<\|im_start\|>(user|assistant|system)\n/g;
-    let matches = [];
-    let match;
-    
-    // Check for ChatML format
-    while ((match = chatml_regex.exec(raw_prompt)) !== null) {
-        matches.push({
-            index: match.index,
-            role: match[1],
-            format: 'chatml'
-        });
+
+    if (!format) format = get_active_prompt_format();
+
+    // REQ-001: Chat completion prompts carry roles on the message array itself
+    if (format.id === 'chat_completion') {
+        if (LAST_RAW_PROMPT_MESSAGES?.text !== raw_prompt) {
+            debug('  get_prompt_chat_segments_from_raw: No message array for chat completion prompt');
+            return null;
+        }
+        return LAST_RAW_PROMPT_MESSAGES.messages
+            .filter(m => m.role === 'user' || m.role === 'assistant')
+            .map(m => ({
+                role: m.role,
+                tokenCount: count_tokens(typeof m.content === 'string' ? m.content : JSON.stringify(m.content)) + format.message_overhead,
+            }));
     }
-    
-    // If no ChatML, try Llama 3 format
+
+    // Parse with the active format first, then fall back to any registry format that matches
+    let matches = find_prompt_format_headers(raw_prompt, format);
     if (matches.length === 0) {
-        const llama3_regex = /<\|eot_id\|><\|start_header_id\|>(user|assistant|system)<\|end_header_id\|>/g;
-        while ((match = llama3_regex.exec(raw_prompt)) !== null) {
-            matches.push({
-                index: match.index,
-                role: match[1],
-                format: 'llama3'
-            });
+        for (const [id, candidate] of Object.entries(PROMPT_FORMATS)) {
+            if (id === format.id || !raw_prompt.includes(candidate.signature)) continue;
+            matches = find_prompt_format_headers(raw_prompt, candidate);
+            if (matches.length > 0) {
+                format = { id, ...candidate };
+                break;
+            }
         }
     }
-    
-    debug(`  get_prompt_chat_segments_from_raw: Found ${matches.length} header matches (format: ${matches[0]?.format || 'none'})`);
-    
+
+    debug(`  get_prompt_chat_segments_from_raw: Found ${matches.length} header matches (format: ${matches.length ? format.id : 'none'})`);
+
     if (matches.length === 0) {
-        debug('  get_prompt_chat_segments_from_raw: No headers found, not Llama 3 or ChatML format');
+        debug('  get_prompt_chat_segments_from_raw: No headers found for the active prompt format');
         return null;
     }
-    
+
     let segments = [];
     for (let i = 0; i < matches.length; i++) {
         let current = matches[i];
         let next = matches[i + 1];
-        
+
         // Only count user and assistant messages (skip system)
         if (current.role !== 'user' && current.role !== 'assistant') {
             continue;
         }
-        
-        let end_index;
-        if (current.format === 'chatml') {
-            // ChatML ends with <|im_end|>
-            const endMarker = raw_prompt.indexOf('<|im_end|>', current.index);
-            end_index = endMarker !== -1 ? endMarker + 10 : (next ? next.index : raw_prompt.length);
-        } else {
-            // Llama 3 ends at next header or end of prompt
-            end_index = next ? next.index : raw_prompt.length;
+
+        // Segment ends after the role suffix, but never runs past the next header
+        const limit = next ? next.index : raw_prompt.length;
+        const suffix = (current.role === 'user' ? format.user_suffix : format.assistant_suffix)?.trim();
+        let end_index = limit;
+        if (suffix) {
+            const endMarker = raw_prompt.indexOf(suffix, current.index + current.length);
+            if (endMarker !== -1) {
+                end_index = Math.min(endMarker + suffix.length, limit);
+            }
         }
-        
+
         let segment = raw_prompt.slice(current.index, end_index);
-        
+
         segments.push({
             role: current.role,
             tokenCount: count_tokens(segment),
         });
     }
-    
-    
+
+
     return segments;
 }
 
+// Locate role headers of a prompt format in a raw prompt
+function find_prompt_format_headers(raw_prompt, format) {
+    // Formats without an assistant prefix (Mistral) start the reply right after the user suffix
+    const markers = [
+        { role: 'user', text: format.user_prefix?.trim() },
+        { role: 'assistant', text: format.assistant_prefix?.trim() || format.user_suffix?.trim() },
+        { role: 'system', text: format.system_prefix?.trim() },
+    ].filter(m => m.text);
+
+    // Roles must be distinguishable, otherwise the mapping is meaningless
+    if (markers.length < 2 || markers[0].text === markers[1].text) {
+        return [];
+    }
+
+    const regex = new RegExp(markers.map(m => `(${escapeRegex(m.text)})`).join('|'), 'g');
+    let matches = [];
+    let match;
+    while ((match = regex.exec(raw_prompt)) !== null) {
+        const group = match.slice(1).findIndex(g => g !== undefined);
+        matches.push({
+            index: match.index,
+            length: match[0].length,
+            role: markers[group].role,
+        });
+    }
+    return matches;
+}
+
 // Build a map of message index to actual token count in prompt
-function get_prompt_message_tokens_from_raw(raw_prompt, chat) {
-    let segments = get_prompt_chat_segments_from_raw(raw_prompt);
+function get_prompt_message_tokens_from_raw(raw_prompt, chat, format = null) {
+    let segments = get_prompt_chat_segments_from_raw(raw_prompt, format);
     if (!segments) {
         debug('  get_prompt_message_tokens_from_raw: No segments found');
         return null;
@@ -533,14 +1005,20 @@ function get_prompt_message_tokens_from_raw(raw_prompt, chat) {
     const startIndex = TRUNCATION_INDEX || 0;
     
     
+    // REQ-003/REQ-007: Held messages before the truncation index are still in the prompt, ahead of the kept ones
+    const held = get_held_message_indexes(chat, startIndex);
+    const inPrompt = (i) => i >= startIndex || held.has(i);
+    const firstIndex = chat.findIndex((m, i) => inPrompt(i));
+
     // Check if all segments are the same role (completion/roleplay mode)
     const allSameRole = segments.length > 0 && segments.every(s => s.role === segments[0].role);
     if (allSameRole && segments.length > 1) {
         // Sequential mapping: map segments to non-system chat messages in order
         let segmentIdx = 0;
-        for (let chatIdx = startIndex; chatIdx < chat.length && segmentIdx < segments.length; chatIdx++) {
+        for (let chatIdx = Math.max(firstIndex, 0); chatIdx < chat.length && segmentIdx < segments.length; chatIdx++) {
             const msg = chat[chatIdx];
             if (msg.is_system) continue; // Skip system messages
+            if (!inPrompt(chatIdx)) continue;
             
             map.set(chatIdx, segments[segmentIdx].tokenCount);
             segmentIdx++;
@@ -550,11 +1028,11 @@ function get_prompt_message_tokens_from_raw(raw_prompt, chat) {
     }
     
     // Match segments to chat messages
-    for (let i = startIndex; i < chat.length && segment_index < segments.length; i++) {
+    for (let i = Math.max(firstIndex, 0); i < chat.length && segment_index < segments.length; i++) {
         let message = chat[i];
         
-        // Skip system messages
-        if (message.is_system) {
+        // Skip system messages and truncated (unpinned) messages
+        if (message.is_system || !inPrompt(i)) {
             continue;
         }
         
@@ -577,6 +1055,58 @@ function get_prompt_message_tokens_from_raw(raw_prompt, chat) {
     return map;
 }
 
+// ==================== PROMPT TOKEN MEASUREMENT ====================
+// REQ-018: Exact per-message costs, tokenized from the final assembled prompt (prompt-ready events)
+// and stored in message extra. Known messages are then never estimated again - only new or edited
+// ones are, so the correction factor only has to cover a handful of messages.
+
+// A measurement is valid for the exact text and the model setup (tokenizer + wrappers) it was taken with
+function get_measurement_key(message, setupKey) {
+    return `${setupKey}|${getStringHash(message.mes ?? '')}`;
+}
+
+function get_measured_message_tokens(message, setupKey) {
+    const measured = get_data(message, 'prompt_tokens');
+    if (!measured || measured.key !== get_measurement_key(message, setupKey)) return undefined;
+    return measured.tokens;
+}
+
+// Map the final prompt onto chat messages and store each message's token cost
+function record_prompt_measurements(raw_prompt) {
+    if (!get_settings('enabled') || !get_settings('measure_prompt_tokens')) return;
+
+    const chat = getContext().chat;
+    const normalized = normalize_raw_prompt(raw_prompt);
+    if (Array.isArray(raw_prompt)) {
+        LAST_RAW_PROMPT_MESSAGES = { text: normalized, messages: raw_prompt };
+    }
+
+    const map = get_prompt_message_tokens_from_raw(normalized, chat, get_active_prompt_format());
+    if (!map || map.size === 0) {
+        debug_trunc('Prompt measurement: no chat segments found in the final prompt');
+        return;
+    }
+
+    // REQ-008: The condensed boundary message does not cost its full text
+    const condensed = get_partial_trim_message();
+    const setupKey = get_calibration_profile_identity().key;
+    let measured = 0;
+    for (const [index, tokens] of map) {
+        const message = chat[index];
+        if (!message || message === condensed) continue;
+        set_data(message, 'prompt_tokens', { tokens, key: get_measurement_key(message, setupKey) });
+        measured++;
+    }
+    debug_trunc(`Prompt measurement: stored exact token costs for ${measured} messages`);
+    saveChatDebounced();
+}
+
+// Messages whose current text has a valid measurement
+function count_measured_messages(chat) {
+    const setupKey = get_calibration_profile_identity().key;
+    return chat.filter(message => !message.is_system && get_measured_message_tokens(message, setupKey) !== undefined).length;
+}
+
 // Truncation index management
 function load_truncation_index() {
     debug(`Loading truncation index from metadata`);
@@ -590,11 +1120,18 @@ function load_truncation_index() {
         debug(`  MODULE_NAME exists in metadata: ${!!chat_metadata?.[MODULE_NAME]}`);
     }
     
+    // REQ-002: Cache hit history is per-chat
+    CACHE_HIT_HISTORY = chat_metadata?.[MODULE_NAME]?.cache_history || [];
+
     // Also load correction factor if saved (Fix 4.2: Preserve correction factor across chat switches)
     if (chat_metadata?.[MODULE_NAME]?.correction_factor !== undefined) {
         CHAT_TOKEN_CORRECTION_FACTOR = chat_metadata[MODULE_NAME].correction_factor;
         debug(`Loaded correction factor: ${CHAT_TOKEN_CORRECTION_FACTOR.toFixed(3)}`);
     }
+    CATEGORY_CORRECTION_FACTORS = { ...create_category_factors(), ...chat_metadata?.[MODULE_NAME]?.category_factors };
+    LAST_PROMPT_CATEGORIES = null;
+    ROLLUP_FAILURES = new Map();  // REQ-020: Roll-up backoff and pending spans are per chat
+    PENDING_ROLLUP_INDEXES = [];
     
     // Load calibration state for persistence across chat switches
     if (chat_metadata?.[MODULE_NAME]?.calibration_state !== undefined) {
@@ -635,13 +1172,16 @@ function load_truncation_index() {
     }
 }
 
-function save_truncation_index() {
+// REQ-012: reason is recorded in the truncation history when the state changed
+function save_truncation_index(reason = 'update') {
     if (!chat_metadata[MODULE_NAME]) {
         chat_metadata[MODULE_NAME] = {};
     }
+    record_truncation_history(reason);
     chat_metadata[MODULE_NAME].truncation_index = TRUNCATION_INDEX;
     chat_metadata[MODULE_NAME].target_size = get_settings('target_context_size');
     chat_metadata[MODULE_NAME].correction_factor = CHAT_TOKEN_CORRECTION_FACTOR;
+    chat_metadata[MODULE_NAME].category_factors = CATEGORY_CORRECTION_FACTORS;
     
     // Save calibration state for persistence across chat switches
     chat_metadata[MODULE_NAME].calibration_state = CALIBRATION_STATE;
@@ -650,6 +1190,7 @@ function save_truncation_index() {
     chat_metadata[MODULE_NAME].retrain_count = RETRAIN_COUNT;
     chat_metadata[MODULE_NAME].qdrant_token_history = QDRANT_TOKEN_HISTORY;
     chat_metadata[MODULE_NAME].last_stable_chat_length = LAST_STABLE_CHAT_LENGTH;
+    chat_metadata[MODULE_NAME].cache_history = CACHE_HIT_HISTORY;
 
     debug(`Saved truncation index: ${TRUNCATION_INDEX}, correction factor: ${CHAT_TOKEN_CORRECTION_FACTOR.toFixed(3)}, state: ${CALIBRATION_STATE}`);
     saveMetadataDebounced();
@@ -661,7 +1202,105 @@ function reset_truncation_index() {
     // NOTE: We intentionally do NOT reset CHAT_TOKEN_CORRECTION_FACTOR here
     // The correction factor is learned over time and should persist across
     // target size changes to maintain calibration stability
-    save_truncation_index();
+    save_truncation_index('reset');
+}
+
+// ==================== TRUNCATION HISTORY ====================
+// REQ-012: Every change of truncation index, correction factor or calibration state is kept
+// in chat metadata so a bad jump (e.g. after a correction-factor collapse) can be undone.
+
+const TRUNCATION_HISTORY_LIMIT = 200;
+
+function get_truncation_history() {
+    return chat_metadata?.[MODULE_NAME]?.truncation_history ?? [];
+}
+
+// Append the current state if it differs from the last recorded one
+function record_truncation_history(reason) {
+    const history = chat_metadata[MODULE_NAME].truncation_history ??= [];
+    const last = history[history.length - 1];
+    const factor = Number(CHAT_TOKEN_CORRECTION_FACTOR.toFixed(3));
+
+    if (last
+        && last.truncation_index === TRUNCATION_INDEX
+        && last.correction_factor === factor
+        && last.calibration_state === CALIBRATION_STATE) {
+        return;
+    }
+
+    history.push({
+        timestamp: Date.now(),
+        reason,
+        truncation_index: TRUNCATION_INDEX,
+        correction_factor: factor,
+        calibration_state: CALIBRATION_STATE,
+        chat_length: getContext().chat?.length || 0,
+    });
+    if (history.length > TRUNCATION_HISTORY_LIMIT) {
+        history.splice(0, history.length - TRUNCATION_HISTORY_LIMIT);
+    }
+    update_truncation_history_display();
+}
+
+// Rewrite the persisted state to a history entry and reload it
+function restore_truncation_state(entryIndex) {
+    const entry = get_truncation_history()[entryIndex];
+    if (!entry) return;
+
+    const meta = chat_metadata[MODULE_NAME];
+    meta.truncation_index = entry.truncation_index;
+    meta.correction_factor = entry.correction_factor;
+    meta.calibration_state = entry.calibration_state;
+    meta.generation_count = 0;
+    meta.stable_count = entry.calibration_state === 'STABLE' ? STABLE_THRESHOLD : 0;
+    meta.retrain_count = 0;
+    // Hold the restored index until new messages arrive
+    meta.last_stable_chat_length = getContext().chat?.length || 0;
+
+    load_truncation_index();
+    save_truncation_index(`restored #${entryIndex + 1}`);
+    refresh_memory();
+    update_calibration_ui();
+    update_overview_tab();
+
+    toastr.success(`Restored truncation state from ${new Date(entry.timestamp).toLocaleString()}`, MODULE_NAME_FANCY);
+}
+
+// Timeline of recorded states (newest first)
+function update_truncation_history_display() {
+    const history = get_truncation_history();
+    const $count = $('#ct_history_count');
+    const $list = $('#ct_history_list');
+
+    if (history.length === 0) {
+        $count.text('Truncation History');
+        $list.html('<div class="ct_memory_empty">No truncation changes recorded in this chat yet</div>');
+        return;
+    }
+
+    const changed = (entry, previous, key) => previous && previous[key] !== entry[key] ? 'ct_history_changed' : '';
+    let html = '';
+    for (let i = history.length - 1; i >= 0; i--) {
+        const entry = history[i];
+        const previous = history[i - 1];
+        html += `
+            <div class="ct_memory_item ct_history_item">
+                <div class="ct_memory_item_header">
+                    <span class="ct_memory_meta">#${i + 1} • ${new Date(entry.timestamp).toLocaleString()} • ${escapeHtml(entry.reason)}</span>
+                    <i class="fa-solid fa-clock-rotate-left ct_history_restore" data-entry="${i}" title="Restore this state"></i>
+                </div>
+                <div class="ct_history_state">
+                    <span class="${changed(entry, previous, 'truncation_index')}">Index ${entry.truncation_index ?? 0}</span>
+                    <span class="${changed(entry, previous, 'correction_factor')}">Factor ${entry.correction_factor.toFixed(3)}</span>
+                    <span class="${changed(entry, previous, 'calibration_state')}">${entry.calibration_state}</span>
+                    <span>${entry.chat_length} msgs</span>
+                </div>
+            </div>
+        `;
+    }
+
+    $count.text(`Truncation History (${history.length})`);
+    $list.html(html);
 }
 
 // ==================== MESSAGE CHANGE RESILIENCE ====================
@@ -787,7 +1426,7 @@ function detect_message_edits() {
             
             // Mark summary as stale if message was lagging (excluded from context)
             const message = chat[i];
-            if (get_data(message, 'lagging') && get_memory(message)) {
+            if (get_data(message, 'lagging') && get_memory(message) && !is_summary_locked(message)) {
                 set_data(message, 'needs_summary', true);
                 debug_trunc(`Marked message ${i} for re-summarization`);
             }
@@ -835,15 +1474,19 @@ function calculate_truncation_index() {
     const maxContext = getMaxContextSize();
 
     // V33: Defensive cap - never exceed 90% of max context regardless of settings
-    const maxSafeContext = Math.floor(maxContext * 0.90);
+    const maxSafeContext = Math.floor(maxContext * get_settings('context_safety_cap'));
     if (targetSize > maxSafeContext) {
         debug_trunc(`Target ${targetSize} exceeds safe limit, capping to ${maxSafeContext}`);
         targetSize = maxSafeContext;
     }
     
-    
-    // SYNERGY: Account for Qdrant tokens in target size
-    if (get_settings('qdrant_enabled') && get_settings('account_qdrant_tokens')) {
+    // REQ-009: With the allocator, the response reserve and Qdrant share come out of the target
+    const budgetPlan = get_settings('budget_allocator_enabled') ? get_budget_plan() : null;
+    if (budgetPlan) {
+        targetSize = budgetPlan.total - budgetPlan.planned.response - budgetPlan.planned.qdrant;
+        debug_trunc(`  Budget plan: target ${budgetPlan.total}, response ${budgetPlan.planned.response}, qdrant ${budgetPlan.planned.qdrant}, chat ${budgetPlan.planned.chat}`);
+    } else if (get_settings('qdrant_enabled') && get_settings('account_qdrant_tokens')) {
+        // SYNERGY: Account for Qdrant tokens in target size
         const qdrantTokens = get_qdrant_injection_tokens();
         if (qdrantTokens > 0) {
             targetSize = targetSize - qdrantTokens;
@@ -877,13 +1520,14 @@ function calculate_truncation_index() {
     }
     
     // Get the current truncation index (or start at 0)
+    // REQ-013: Keep counts refer to visible messages - hidden ones are never sent anyway
     let currentIndex = TRUNCATION_INDEX || 0;
-    let maxIndex = Math.max(chat.length - minKeep, 0);
+    let maxIndex = get_keep_boundary_index(chat, minKeep);
     
     // V32 FIX: Also limit to keeping at least 10% of messages (never truncate more than 90%)
     // This prevents pathological cases where correction factor collapse causes massive over-truncation
-    const percentageMinKeep = Math.floor(chat.length * 0.10);
-    maxIndex = Math.min(maxIndex, chat.length - percentageMinKeep);
+    const percentageMinKeep = Math.floor(count_visible_messages(chat) * get_settings('min_keep_ratio'));
+    maxIndex = Math.min(maxIndex, get_keep_boundary_index(chat, percentageMinKeep));
     debug_trunc(`  Max index (with 10% floor): ${maxIndex} (keeps at least ${percentageMinKeep} messages)`);
     
     let nextIndex = Math.min(currentIndex, maxIndex);
@@ -891,13 +1535,10 @@ function calculate_truncation_index() {
     // Calculate separator size for summaries
     const sepSize = calculate_injection_separator_size();
     
-    // Prompt header tokens (for estimating message sizes in prompt)
-    const PROMPT_HEADER_USER = '<|eot_id|><|start_header_id|>user<|end_header_id|>';
-    const PROMPT_HEADER_ASSISTANT = '<|eot_id|><|start_header_id|>assistant<|end_header_id|>';
-    const promptHeaderTokens = {
-        user: count_tokens(PROMPT_HEADER_USER),
-        assistant: count_tokens(PROMPT_HEADER_ASSISTANT),
-    };
+    // REQ-001: Per-message wrapper tokens from the active prompt format (instruct template or chat completion)
+    const promptFormat = get_active_prompt_format();
+    const promptHeaderTokens = get_prompt_format_wrapper_tokens(promptFormat);
+    debug_trunc(`  Prompt format: ${promptFormat.name} (wrapper: user ${promptHeaderTokens.user}, assistant ${promptHeaderTokens.assistant} tokens)`);
     
     // Build message token map from last prompt for accurate estimation
     let last_raw_prompt = get_last_prompt_raw();
@@ -913,13 +1554,14 @@ function calculate_truncation_index() {
         }
     }
 
-    let message_token_map = get_prompt_message_tokens_from_raw(last_raw_prompt, chat);
+    let message_token_map = get_prompt_message_tokens_from_raw(last_raw_prompt, chat, promptFormat);
     
     // Calculate non-chat budget from the current raw prompt
     // Both total and chat tokens must come from the SAME prompt for accuracy
     let totalPromptTokens;
     let promptChatTokens = 0;
     let nonChatBudget;
+    let nonChatCategories = null;  // REQ-017: Uncorrected non-chat tokens per factor category
     
     
     if (!last_raw_prompt) {
@@ -931,24 +1573,41 @@ function calculate_truncation_index() {
         // Have raw prompt - calculate accurately
         totalPromptTokens = count_tokens(last_raw_prompt);
         
-        let segments = get_prompt_chat_segments_from_raw(last_raw_prompt);
+        let segments = get_prompt_chat_segments_from_raw(last_raw_prompt, promptFormat);
         if (segments && segments.length > 0) {
             promptChatTokens = segments.reduce((sum, seg) => sum + seg.tokenCount, 0);
             DEBUG_SEGMENT_COUNT = segments.length;
         }
         
-        // V35 FIX: Do NOT apply correction factor to non-chat budget
+        // V35 FIX: Do NOT apply the chat correction factor to non-chat budget
         // Non-chat (system prompt, etc.) is measured directly from raw prompt and is accurate
-        // Only CHAT token estimates need correction (they're calculated, not measured)
+        // REQ-017: Its blocks still drift between generations (summaries grow, memories and lore vary),
+        // so each is scaled by its own learned factor instead of leaking into the chat factor
         const rawNonChatBudget = Math.max(totalPromptTokens - promptChatTokens, 0);
-        nonChatBudget = rawNonChatBudget;  // Use raw value directly
+        // The last prompt's blocks estimate this one's; refresh_memory swaps in the summaries and
+        // memories actually injected once they are known
+        nonChatCategories = split_non_chat_tokens(rawNonChatBudget, LAST_PROMPT_CATEGORIES ?? { lore: measure_lore_tokens(last_raw_prompt) });
+        nonChatBudget = apply_category_factors(nonChatCategories, CATEGORY_CORRECTION_FACTORS);
+        debug_trunc(`  Non-chat: ${rawNonChatBudget} measured -> ${nonChatBudget} corrected (summaries ${nonChatCategories.summaries}, memories ${nonChatCategories.memories}, lore ${nonChatCategories.lore}, static ${nonChatCategories.static})`);
         
     }
     
+    // REQ-009: The chat share's maximum also bounds the kept window
+    if (budgetPlan && nonChatBudget + budgetPlan.planned.chat < targetSize) {
+        targetSize = nonChatBudget + budgetPlan.planned.chat;
+        debug_trunc(`  Chat share caps target to ${targetSize}`);
+    }
+    
     // Track token map usage
     let map_hits = 0;
     let map_misses = 0;
     
+    // REQ-018: Exact costs measured from earlier final prompts
+    const measurementSetupKey = get_settings('measure_prompt_tokens') ? get_calibration_profile_identity().key : null;
+    function getMeasuredTokens(message) {
+        return measurementSetupKey ? get_measured_message_tokens(message, measurementSetupKey) : undefined;
+    }
+    
     // Function to estimate message tokens in prompt
     function estimateMessagePromptTokens(message, index) {
         // Try to use actual token count from map first
@@ -960,6 +1619,12 @@ function calculate_truncation_index() {
                 return mapped;
             }
         }
+        const measured = getMeasuredTokens(message);
+        if (measured !== undefined) {
+            map_hits++;
+            DEBUG_MAP_HITS++;
+            return measured;
+        }
         
         // Fall back to estimation
         map_misses++;
@@ -967,10 +1632,21 @@ function calculate_truncation_index() {
         const roleHeaderTokens = message.is_user ? promptHeaderTokens.user : promptHeaderTokens.assistant;
         return count_tokens(message.mes) + roleHeaderTokens;
     }
+
+    // REQ-008: An oversized message at the cut is sent condensed (summary + last sentences)
+    const condensedTokenCache = new Map();
+    function estimateCondensedBoundaryTokens(message, index) {
+        if (!condensedTokenCache.has(index)) {
+            const roleHeaderTokens = message.is_user ? promptHeaderTokens.user : promptHeaderTokens.assistant;
+            condensedTokenCache.set(index, count_tokens(build_condensed_message(message)) + roleHeaderTokens);
+        }
+        return condensedTokenCache.get(index);
+    }
     
     // Function to estimate total chat size with given truncation index
     function estimateChatSize(startIndex) {
         let total = 0;
+        const held = get_held_message_indexes(chat, startIndex);
         for (let i = 0; i < chat.length; i++) {
             const message = chat[i];
             
@@ -979,12 +1655,18 @@ function calculate_truncation_index() {
             
             // Messages before startIndex are excluded (lagging)
             // Messages at or after startIndex are kept in full
-            const lagging = i < startIndex;
+            // REQ-003/REQ-007: Held messages (pins, speaker minimums) are always kept and count against the budget
+            const lagging = i < startIndex && !held.has(i);
             if (!lagging) {
+                if (i === startIndex && startIndex > 0 && is_partial_trim_candidate(message)) {
+                    total += estimateCondensedBoundaryTokens(message, i);
+                    continue;
+                }
                 // Kept message - use full token count
                 // V32 FIX: Token map values are already accurate from prompt parsing
                 // Only apply correction factor to fallback estimates (map misses)
-                const mapValue = message_token_map ? message_token_map.get(i) : undefined;
+                // REQ-018: Measured costs are exact as well
+                const mapValue = message_token_map?.get(i) ?? getMeasuredTokens(message);
                 if (mapValue !== undefined) {
                     total += mapValue;  // Token map values are already accurate
                 } else {
@@ -1006,6 +1688,7 @@ function calculate_truncation_index() {
     // V29: Estimate chat size WITHOUT correction factor (for accurate factor calculation)
     function estimateChatSizeRaw(startIndex) {
         let total = 0;
+        const held = get_held_message_indexes(chat, startIndex);
         for (let i = 0; i < chat.length; i++) {
             const message = chat[i];
             
@@ -1014,8 +1697,12 @@ function calculate_truncation_index() {
             
             // Messages before startIndex are excluded (lagging)
             // Messages at or after startIndex are kept in full
-            const lagging = i < startIndex;
+            const lagging = i < startIndex && !held.has(i);
             if (!lagging) {
+                if (i === startIndex && startIndex > 0 && is_partial_trim_candidate(message)) {
+                    total += estimateCondensedBoundaryTokens(message, i);
+                    continue;
+                }
                 // Kept message - use RAW token count (no correction factor)
                 const rawEstimate = estimateMessagePromptTokens(message, i);
                 total += rawEstimate;  // V29: No correction factor applied
@@ -1027,6 +1714,38 @@ function calculate_truncation_index() {
         return total;
     }
     
+    // REQ-011: Watermark ratchet replaces the incremental search entirely
+    if (is_watermark_mode()) {
+        let finalIndex = plan_watermark_truncation({
+            currentIndex,
+            maxIndex,
+            targetSize,
+            estimateTotal: (index) => estimateChatSize(index) + nonChatBudget,
+        });
+        if (get_settings('scene_aware_truncation') && finalIndex > currentIndex) {
+            finalIndex = snap_to_scene_boundary({
+                index: finalIndex,
+                minIndex: currentIndex,
+                maxIndex,
+                targetSize: get_watermark_levels(targetSize).high,
+                chat,
+                estimateTotal: (index) => estimateChatSize(index) + nonChatBudget,
+            });
+        }
+        recordPrediction(finalIndex);
+        return finalIndex;
+    }
+    
+    // Store predictions for comparison with actual results
+    function recordPrediction(index) {
+        const predictedChatSize = estimateChatSize(index);
+        LAST_PREDICTED_SIZE = predictedChatSize + nonChatBudget;
+        LAST_PREDICTED_CHAT_SIZE = predictedChatSize;
+        LAST_PREDICTED_CHAT_SIZE_RAW = estimateChatSizeRaw(index);  // V29: Store raw for correction factor calculation
+        LAST_PREDICTED_NON_CHAT_SIZE = nonChatBudget;
+        LAST_PREDICTED_CATEGORIES = nonChatCategories;
+    }
+    
     // Current chat size
     let currentChatSize = estimateChatSize(currentIndex);
     
@@ -1109,39 +1828,655 @@ function calculate_truncation_index() {
             finalIndex = reducedIndex;
         }
     }
+
+    // REQ-002: Let the cache planner trade the greedy index for one that keeps the cached prefix
+    if (get_settings('cache_aligned_truncation')) {
+        const plan = plan_cache_aligned_truncation({
+            baseIndex: finalIndex,
+            currentIndex,
+            maxIndex,
+            batchSize,
+            targetSize,
+            chatLength: chat.length,
+            estimateTotal: (index) => estimateChatSize(index) + nonChatBudget,
+        });
+        if (plan) {
+            finalIndex = plan.index;
+        }
+    }
+
+    // REQ-004: Snap the cut to a scene boundary - only when it moves at all, and after the cache
+    // planner so its pick isn't moved off the boundary again (never past maxIndex, never back
+    // before currentIndex, never over target when moving back)
+    if (get_settings('scene_aware_truncation') && finalIndex > currentIndex) {
+        finalIndex = snap_to_scene_boundary({
+            index: finalIndex,
+            minIndex: currentIndex,
+            maxIndex,
+            targetSize,
+            chat,
+            estimateTotal: (index) => estimateChatSize(index) + nonChatBudget,
+        });
+    }
     
-    const predictedChatSize = estimateChatSize(finalIndex);
-    const predictedChatSizeRaw = estimateChatSizeRaw(finalIndex);  // V29: Raw prediction for factor calculation
-    const predictedTotal = predictedChatSize + nonChatBudget;
-    
-    
-    // Store predictions for comparison with actual results
-    LAST_PREDICTED_SIZE = predictedTotal;
-    LAST_PREDICTED_CHAT_SIZE = predictedChatSize;
-    LAST_PREDICTED_CHAT_SIZE_RAW = predictedChatSizeRaw;  // V29: Store raw for correction factor calculation
-    LAST_PREDICTED_NON_CHAT_SIZE = nonChatBudget;
+    recordPrediction(finalIndex);
     
     return finalIndex;
 }
 
-// Helper function to calculate separator size
-function calculate_injection_separator_size(separator = null) {
-    if (separator === null) separator = get_settings('summary_injection_separator');
-    const text = "This is a test.";
-    const t1 = count_tokens(text);
-    const t2 = count_tokens(text + separator + text);
-    return t2 - (2 * t1);
+// ==================== WATERMARK TRUNCATION ====================
+// REQ-011: Every move of TRUNCATION_INDEX invalidates the cached prompt. The ratchet holds the
+// index while the prompt grows from the low to the high watermark, then jumps once - trading
+// a few unused tokens for long runs of cache-stable generations.
+
+function is_watermark_mode() {
+    return get_settings('truncation_strategy') === 'watermark';
 }
 
-// Helper function to check message exclusion
-function check_message_exclusion(message) {
-    if (!message) return false;
-    if (get_data(message, 'remember')) return true;
-    if (get_data(message, 'exclude')) return false;
-    if (!get_settings('include_user_messages') && message.is_user) return false;
-    if (message.is_thoughts) return false;
-    if (!get_settings('include_system_messages') && message.is_system) return false;
-    const tokenSize = count_tokens(message.mes);
+// Watermarks in tokens for a target size
+function get_watermark_levels(targetSize) {
+    const high = Math.floor(targetSize * get_settings('watermark_high'));
+    const low = Math.min(Math.floor(targetSize * get_settings('watermark_low')), high);
+    return { high, low };
+}
+
+// Index after this generation: unchanged below the high mark, otherwise the first index that lands at the low mark
+function plan_watermark_truncation({ currentIndex, maxIndex, targetSize, estimateTotal }) {
+    const { high, low } = get_watermark_levels(targetSize);
+    const startIndex = Math.min(currentIndex, maxIndex);
+    const currentTotal = estimateTotal(startIndex);
+
+    if (currentTotal <= high) {
+        debug_trunc(`  Watermark: ${currentTotal} <= high ${high}, holding index ${startIndex}`);
+        return startIndex;
+    }
+
+    // The total only shrinks as the index moves forward: binary-search the lowest index at or
+    // under the low mark (maxIndex when none is) - O(log n) estimates instead of one per message
+    let lo = startIndex + 1;
+    let hi = maxIndex;
+    let index = maxIndex;
+    let total = null;
+    while (lo <= hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        const midTotal = estimateTotal(mid);
+        if (midTotal <= low) {
+            index = mid;
+            total = midTotal;
+            hi = mid - 1;
+        } else {
+            lo = mid + 1;
+        }
+    }
+    debug_trunc(`  Watermark: ${currentTotal} > high ${high}, jumping ${startIndex} → ${index} (low ${low}${total === null ? '' : `, now ${total}`})`);
+    return index;
+}
+
+// Fraction of the target by which a prompt falls outside the watermark band (0 inside)
+function get_watermark_deviation(actualSize, targetSize) {
+    return compute_deviation({
+        actual_size: actualSize,
+        target: targetSize,
+        watermarks: get_watermark_levels(targetSize),
+        truncation_active: TRUNCATION_INDEX > 0,
+    });
+}
+
+// Show both watermarks on the Overview gauge
+function update_watermark_gauge(maxContext) {
+    const $markers = $('#ct_gauge_watermark_high, #ct_gauge_watermark_low');
+    if (!is_watermark_mode() || !maxContext) {
+        $markers.hide();
+        return;
+    }
+
+    const { high, low } = get_watermark_levels(get_settings('target_context_size'));
+    const toPct = (tokens) => `${Math.min(tokens / maxContext * 100, 100)}%`;
+    $('#ct_gauge_watermark_high').css('left', toPct(high)).attr('title', `High watermark: ${high.toLocaleString()} tokens`).show();
+    $('#ct_gauge_watermark_low').css('left', toPct(low)).attr('title', `Low watermark: ${low.toLocaleString()} tokens`).show();
+}
+
+// ==================== TOKEN BUDGET ====================
+// REQ-009: One allocator splits the target among chat, summaries, Qdrant memories,
+// LoreVault/world info and the response reserve. Shares are served in priority order:
+// first every share gets its minimum (up to its demand), then what is left is handed out
+// up to each share's maximum. System prompt overhead is fixed and comes off the top.
+
+const BUDGET_SHARE_LABELS = {
+    response: 'Response',
+    lorevault: 'LoreVault / WI',
+    summaries: 'Summaries',
+    qdrant: 'Qdrant',
+    chat: 'Chat',
+};
+
+// Tokens per prompt block, measured from a raw prompt
+// summaryTokens: size of the summary block in that prompt - the injection of the last refresh by
+// default. Never rebuild the injection here: its cap comes from the budget plan, which measures
+// the prompt through this function.
+function measure_prompt_blocks(raw_prompt, summaryTokens = count_tokens(LAST_SUMMARY_INJECTION)) {
+    const total = count_tokens(raw_prompt);
+    const segments = get_prompt_chat_segments_from_raw(raw_prompt);
+    const chat = segments ? segments.reduce((sum, seg) => sum + seg.tokenCount, 0) : 0;
+    const worldRules = calculate_world_rules_tokens(raw_prompt);
+    const lorevault = calculate_lorevault_tokens(raw_prompt);
+    const summaries = summaryTokens;
+    const qdrant = get_qdrant_injection_tokens();
+    const system = Math.max(0, total - chat - worldRules - lorevault - summaries - qdrant);
+    return { total, chat, worldRules, lorevault, summaries, qdrant, system };
+}
+
+// REQ-017: Compact "S 1.000 · M 1.000 · P 1.000" for logs and the Overview
+function format_category_factors() {
+    const { summaries, memories, static: staticPrompt } = CATEGORY_CORRECTION_FACTORS;
+    return `S ${summaries.toFixed(3)} · M ${memories.toFixed(3)} · P ${staticPrompt.toFixed(3)}`;
+}
+
+// REQ-017: Split a prompt's non-chat tokens into the factor categories. blocks: known summary,
+// memory and lore tokens of that prompt; whatever they don't explain is the static prompt
+function split_non_chat_tokens(nonChatTokens, blocks = null) {
+    const summaries = Math.min(blocks?.summaries ?? 0, nonChatTokens);
+    const memories = Math.min(blocks?.memories ?? 0, nonChatTokens - summaries);
+    const lore = Math.min(blocks?.lore ?? 0, nonChatTokens - summaries - memories);
+    return { summaries, memories, lore, static: nonChatTokens - summaries - memories - lore };
+}
+
+// REQ-017: LoreVault and world info tokens of a raw prompt (the uncorrected lore category)
+function measure_lore_tokens(raw_prompt) {
+    return raw_prompt ? calculate_lorevault_tokens(raw_prompt) + calculate_world_rules_tokens(raw_prompt) : 0;
+}
+
+// REQ-017: Tokens an injected block (summaries, memories) takes in a raw prompt, null when it
+// can't be found there
+function measure_injection_tokens(raw_prompt, block) {
+    const found = find_prompt_block(raw_prompt, block);
+    return found === null ? null : count_tokens(found);
+}
+
+// Split total among the configured shares. demands: tokens each block wants (Infinity = all it can get)
+function allocate_token_budget(total, demands, fixed = 0) {
+    const shares = get_settings('budget_shares');
+    const order = Object.keys(BUDGET_SHARE_LABELS)
+        .sort((a, b) => (shares[a]?.priority ?? 0) - (shares[b]?.priority ?? 0));
+    const planned = Object.fromEntries(order.map(key => [key, 0]));
+    let remaining = Math.max(total - fixed, 0);
+
+    const fill = (key, limitRatio) => {
+        const limit = Math.floor(total * limitRatio);
+        const want = Math.min(demands[key] ?? 0, limit) - planned[key];
+        const granted = Math.max(Math.min(want, remaining), 0);
+        planned[key] += granted;
+        remaining -= granted;
+    };
+
+    for (const key of order) fill(key, shares[key]?.min ?? 0);
+    for (const key of order) fill(key, shares[key]?.max ?? 1);
+
+    return { total, fixed, planned, demands, remaining };
+}
+
+// Tokens of every summary that could be injected right now (uncapped)
+function get_available_summary_tokens() {
+    const chat = getContext().chat || [];
+    const sepSize = calculate_injection_separator_size();
+    let total = 0;
+    for (const message of chat) {
+        const memory = get_memory(message);
+        if (memory && get_data(message, 'lagging')) {
+            total += count_tokens(memory) + sepSize;
+        }
+    }
+    return total;
+}
+
+let BUDGET_PLAN_ACTIVE = false;  // Re-entry guard for get_budget_plan
+
+// Allocate the current target among the prompt blocks
+function get_budget_plan() {
+    const maxContext = getMaxContextSize();
+    const total = Math.min(get_settings('target_context_size'), Math.floor(maxContext * get_settings('context_safety_cap')));
+    // A re-entrant call (something the measurement needs asks for the plan) plans without the
+    // prompt measurement instead of recursing
+    const raw_prompt = BUDGET_PLAN_ACTIVE ? null : (get_last_prompt_raw() || CACHED_RAW_PROMPT);
+    if (BUDGET_PLAN_ACTIVE) {
+        debug_trunc('get_budget_plan re-entered - planning without prompt measurement');
+    }
+    let blocks = null;
+    const wasActive = BUDGET_PLAN_ACTIVE;
+    BUDGET_PLAN_ACTIVE = true;
+    try {
+        blocks = raw_prompt ? measure_prompt_blocks(raw_prompt) : null;
+    } finally {
+        BUDGET_PLAN_ACTIVE = wasActive;
+    }
+
+    const demands = {
+        response: amount_gen || 0,
+        lorevault: blocks ? blocks.lorevault + blocks.worldRules : 0,
+        summaries: get_available_summary_tokens(),
+        qdrant: get_settings('qdrant_enabled') ? (QDRANT_DEMAND_TOKENS || get_qdrant_injection_tokens()) : 0,
+        chat: Infinity,
+    };
+    return allocate_token_budget(total, demands, blocks?.system ?? 0);
+}
+
+// Planned vs actual per block in the Overview breakdown
+function update_budget_display(blocks) {
+    const $list = $('#ct_ov_budget_list');
+    if (!$list.length) return;
+
+    $('#ct_ov_budget_card').toggle(!!get_settings('budget_allocator_enabled'));
+    if (!get_settings('budget_allocator_enabled') || !blocks) {
+        $list.empty();
+        return;
+    }
+
+    const plan = get_budget_plan();
+    const actual = {
+        response: amount_gen || 0,
+        lorevault: blocks.lorevault + blocks.worldRules,
+        summaries: blocks.summaries,
+        qdrant: blocks.qdrant,
+        chat: blocks.chat,
+    };
+
+    $list.empty();
+    for (const [key, label] of Object.entries(BUDGET_SHARE_LABELS)) {
+        const planned = plan.planned[key];
+        const over = actual[key] > planned;
+        const $row = $('<div class="ct_stat_row"></div>');
+        $row.append($('<span class="ct_stat_label"></span>').text(label));
+        $row.append($(`<span class="ct_stat_value${over ? ' ct_text_red' : ''}"></span>`)
+            .text(`${actual[key].toLocaleString()} / ${planned.toLocaleString()}`));
+        $list.append($row);
+    }
+}
+
+// ==================== PROMPT CACHE SIMULATION ====================
+// REQ-002: Providers reuse the longest prefix shared with the previous request. Appending
+// messages keeps the whole prefix, but moving the truncation index rewrites the chat and
+// summary block, so only the static prefix in front of them stays cached.
+
+// Length of the common leading substring of two prompts
+function get_shared_prefix_length(a, b) {
+    const limit = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < limit && a.charCodeAt(i) === b.charCodeAt(i)) i++;
+    return i;
+}
+
+// Measure where the reusable prefix of a prompt ends (in tokens)
+function build_cache_profile(raw_prompt, totalTokens) {
+    const format = get_active_prompt_format();
+    const find = (text) => {
+        const needle = text?.trim().slice(0, 200);
+        return needle ? raw_prompt.indexOf(needle) : -1;
+    };
+
+    // Start of the chat history
+    let chatStart = -1;
+    if (format.id === 'chat_completion') {
+        const first = LAST_RAW_PROMPT_MESSAGES?.text === raw_prompt
+            ? LAST_RAW_PROMPT_MESSAGES.messages.find(m => m.role === 'user' || m.role === 'assistant')
+            : null;
+        chatStart = typeof first?.content === 'string' ? find(first.content) : -1;
+    } else {
+        chatStart = find_prompt_format_headers(raw_prompt, format).find(h => h.role !== 'system')?.index ?? -1;
+    }
+
+    const summaryOffset = find(LAST_SUMMARY_INJECTION);
+    const qdrantOffset = INJECTED_QDRANT_MEMORIES.length > 0
+        ? find(format_memories_for_injection(INJECTED_QDRANT_MEMORIES))
+        : -1;
+    const summaryInChat = get_settings('injection_position') === extension_prompt_types.IN_CHAT;
+
+    // Static prefix survives an index change; full prefix survives only appends
+    const staticEnd = Math.min(raw_prompt.length, ...[chatStart, summaryOffset, qdrantOffset].filter(o => o !== -1));
+    const volatileEnd = Math.min(raw_prompt.length, ...[qdrantOffset, summaryInChat ? summaryOffset : -1].filter(o => o !== -1));
+
+    return {
+        index: TRUNCATION_INDEX || 0,
+        total: totalTokens,
+        static_prefix: count_tokens(raw_prompt.slice(0, staticEnd)),
+        full_prefix: volatileEnd >= raw_prompt.length ? totalTokens : count_tokens(raw_prompt.slice(0, volatileEnd)),
+    };
+}
+
+// Record the measured cache hit of a finished generation (called from update_status_display)
+function record_cache_generation(raw_prompt, actualSize) {
+    // Same prompt reported twice (e.g. re-render) - nothing new to measure
+    if (!raw_prompt || raw_prompt === CACHE_PREVIOUS_RAW_PROMPT) return;
+
+    let actual = null;
+    if (CACHE_PREVIOUS_RAW_PROMPT && actualSize > 0) {
+        const shared = get_shared_prefix_length(CACHE_PREVIOUS_RAW_PROMPT, raw_prompt);
+        actual = Math.min(count_tokens(raw_prompt.slice(0, shared)) / actualSize, 1);
+    }
+
+    CACHE_HIT_HISTORY.push({
+        chat_length: getContext().chat?.length || 0,
+        index: TRUNCATION_INDEX || 0,
+        total: actualSize,
+        predicted: LAST_PREDICTED_CACHE_HIT,
+        actual,
+    });
+    const maxHistory = Math.max(get_settings('cache_sim_generations'), 2);
+    if (CACHE_HIT_HISTORY.length > maxHistory) {
+        CACHE_HIT_HISTORY = CACHE_HIT_HISTORY.slice(-maxHistory);
+    }
+
+    CACHE_PREVIOUS_RAW_PROMPT = raw_prompt;
+    LAST_CACHE_PROFILE = build_cache_profile(raw_prompt, actualSize);
+
+    const fmt = (ratio) => ratio === null ? '--' : `${(ratio * 100).toFixed(1)}%`;
+    debug_trunc(`Cache: predicted ${fmt(LAST_PREDICTED_CACHE_HIT)}, measured ${fmt(actual)} | static prefix ${LAST_CACHE_PROFILE.static_prefix}, full prefix ${LAST_CACHE_PROFILE.full_prefix}/${actualSize}`);
+}
+
+// Forget the previous prompt (chat switch / reset) - the provider cache is cold anyway
+function reset_cache_simulation() {
+    CACHE_PREVIOUS_RAW_PROMPT = null;
+    LAST_CACHE_PROFILE = null;
+    LAST_PREDICTED_CACHE_HIT = null;
+}
+
+// Average prompt growth per generation while the index stayed put
+function get_average_generation_growth() {
+    const deltas = [];
+    for (let i = 1; i < CACHE_HIT_HISTORY.length; i++) {
+        const prev = CACHE_HIT_HISTORY[i - 1];
+        const cur = CACHE_HIT_HISTORY[i];
+        if (cur.index === prev.index && cur.total > prev.total) {
+            deltas.push(cur.total - prev.total);
+        }
+    }
+    if (deltas.length === 0) return 0;
+    return Math.round(deltas.reduce((a, b) => a + b, 0) / deltas.length);
+}
+
+// Predicted share of the next prompt served from cache for a given truncation index
+function predict_cache_hit(index) {
+    const profile = LAST_CACHE_PROFILE;
+    if (!profile || profile.total <= 0) return null;
+
+    if (index === profile.index) {
+        const nextTotal = profile.total + get_average_generation_growth();
+        return Math.min(profile.full_prefix / nextTotal, 1);
+    }
+    const nextTotal = LAST_PREDICTED_SIZE || profile.total;
+    return Math.min(profile.static_prefix / nextTotal, 1);
+}
+
+// Pick the candidate index that keeps the most cached prefix over the next N generations
+function plan_cache_aligned_truncation({ baseIndex, currentIndex, maxIndex, batchSize, targetSize, chatLength, estimateTotal }) {
+    const profile = LAST_CACHE_PROFILE;
+    if (!profile) {
+        debug_trunc('Cache planner: no previous prompt measured, keeping greedy index');
+        return null;
+    }
+
+    const horizon = Math.max(get_settings('cache_sim_generations'), 1);
+    const baseTotal = estimateTotal(baseIndex);
+
+    // Fall back to one user/assistant exchange worth of tokens when no growth was observed yet
+    let growth = get_average_generation_growth();
+    if (growth === 0) {
+        const kept = Math.max(chatLength - baseIndex, 1);
+        growth = Math.max(Math.round((baseTotal - profile.static_prefix) / kept * 2), 1);
+    }
+
+    // Walk the horizon: appends keep the previous prompt cached, a forced cut drops to the static prefix
+    const simulate = (index) => {
+        const total = estimateTotal(index);
+        const first = index === profile.index ? profile.full_prefix : profile.static_prefix;
+        const firstRatio = total > 0 ? Math.min(first / total, 1) : 0;
+        let ratioSum = firstRatio;
+        let size = total;
+        for (let g = 1; g < horizon; g++) {
+            size += growth;
+            if (size > targetSize) {
+                size = baseTotal;
+                ratioSum += Math.min(profile.static_prefix / size, 1);
+            } else {
+                ratioSum += (size - growth) / size;
+            }
+        }
+        return { index, total, first_ratio: firstRatio, score: ratioSum / horizon };
+    };
+
+    const candidateIndexes = [...new Set([baseIndex, currentIndex, baseIndex + batchSize])]
+        .filter(index => index >= 0 && index <= Math.max(maxIndex, baseIndex));
+    const candidates = candidateIndexes
+        .map(simulate)
+        .filter(c => c.index === baseIndex || c.total <= targetSize);
+
+    // Highest score wins; near-ties keep more messages (lower index)
+    candidates.sort((a, b) => (Math.abs(b.score - a.score) > 0.001 ? b.score - a.score : a.index - b.index));
+    const best = candidates[0];
+
+    debug_trunc(`Cache planner (horizon ${horizon}, growth ${growth}/gen):`);
+    for (const c of candidates) {
+        debug_trunc(`  index ${c.index}: ${c.total} tokens, first hit ${(c.first_ratio * 100).toFixed(1)}%, avg ${(c.score * 100).toFixed(1)}%${c === best ? ' ← chosen' : ''}`);
+    }
+
+    return best;
+}
+
+// Update the prompt cache card on the Overview tab
+function update_cache_display() {
+    const fmt = (ratio) => ratio === null || ratio === undefined ? '--' : `${Math.round(ratio * 100)}%`;
+    const last = CACHE_HIT_HISTORY[CACHE_HIT_HISTORY.length - 1];
+
+    $('#ct_ov_cache_predicted').text(fmt(LAST_PREDICTED_CACHE_HIT));
+    $('#ct_ov_cache_actual').text(fmt(last?.actual));
+
+    const $history = $('#ct_ov_cache_history');
+    $history.empty();
+    for (const entry of CACHE_HIT_HISTORY) {
+        const ratio = entry.actual ?? entry.predicted;
+        if (ratio === null || ratio === undefined) continue;
+        const $bar = $('<div class="ct_cache_bar"></div>')
+            .css('height', `${Math.max(Math.round(ratio * 100), 2)}%`)
+            .toggleClass('ct_cache_bar_predicted', entry.actual === null)
+            .attr('title', `Msgs: ${entry.chat_length} | Index: ${entry.index} | Predicted: ${fmt(entry.predicted)} | Measured: ${fmt(entry.actual)}`);
+        $history.append($bar);
+    }
+}
+
+// ==================== DRY-RUN PREVIEW ====================
+// REQ-006: Run the real truncation and summary selection against hypothetical settings.
+// Module state touched by the calculation is snapshotted and restored, so nothing leaks.
+
+// Compress sorted message indexes into "a–b, c" ranges
+function format_index_ranges(indexes) {
+    if (indexes.length === 0) return 'none';
+    const ranges = [];
+    let start = indexes[0];
+    let prev = indexes[0];
+    for (let i = 1; i <= indexes.length; i++) {
+        const current = indexes[i];
+        if (current === prev + 1) {
+            prev = current;
+            continue;
+        }
+        ranges.push(start === prev ? `#${start}` : `#${start}–${prev}`);
+        start = current;
+        prev = current;
+    }
+    return ranges.join(', ');
+}
+
+// Truncation outcome for the given settings overrides (no state is mutated)
+function dry_run_truncation(overrides) {
+    const chat = getContext().chat || [];
+
+    const snapshot = {
+        TRUNCATION_INDEX,
+        LAST_PREDICTED_SIZE,
+        LAST_PREDICTED_CHAT_SIZE,
+        LAST_PREDICTED_CHAT_SIZE_RAW,
+        LAST_PREDICTED_NON_CHAT_SIZE,
+        LAST_PREDICTED_CATEGORIES,
+        DEBUG_SEGMENT_COUNT,
+        DEBUG_MAP_HITS,
+        DEBUG_MAP_MISSES,
+        DROPPED_SUMMARY_COUNT,
+    };
+
+    PREVIEW_SETTINGS_OVERRIDES = overrides;
+    try {
+        // Changing target or batch size resets the index in the real flow (should_recalculate_truncation)
+        if (['target_context_size', 'batch_size'].some(key => key in overrides)) {
+            TRUNCATION_INDEX = null;
+        }
+
+        const index = calculate_truncation_index();
+        const held = get_held_message_indexes(chat, index);
+        const isLagging = (i) => i < index && !held.has(i);
+        const dropped = [];
+        const summaries = collect_summary_indexes(isLagging, dropped);
+
+        return {
+            index,
+            predictedTotal: LAST_PREDICTED_SIZE,
+            excluded: chat.map((m, i) => i).filter(i => !chat[i].is_system && isLagging(i)),
+            summaries,
+            dropped,
+        };
+    } finally {
+        PREVIEW_SETTINGS_OVERRIDES = null;
+        ({
+            TRUNCATION_INDEX,
+            LAST_PREDICTED_SIZE,
+            LAST_PREDICTED_CHAT_SIZE,
+            LAST_PREDICTED_CHAT_SIZE_RAW,
+            LAST_PREDICTED_NON_CHAT_SIZE,
+            LAST_PREDICTED_CATEGORIES,
+            DEBUG_SEGMENT_COUNT,
+            DEBUG_MAP_HITS,
+            DEBUG_MAP_MISSES,
+            DROPPED_SUMMARY_COUNT,
+        } = snapshot);
+    }
+}
+
+// Current (committed) truncation outcome, read from message flags
+function get_current_truncation_outcome() {
+    const chat = getContext().chat || [];
+    const dropped = [];
+    const snapshotDropped = DROPPED_SUMMARY_COUNT;
+    const summaries = collect_summary_indexes(null, dropped);
+    DROPPED_SUMMARY_COUNT = snapshotDropped;
+
+    return {
+        index: TRUNCATION_INDEX || 0,
+        predictedTotal: LAST_ACTUAL_PROMPT_SIZE || LAST_PREDICTED_SIZE,
+        excluded: chat.map((m, i) => i).filter(i => !chat[i].is_system && get_data(chat[i], 'lagging')),
+        summaries,
+        dropped,
+    };
+}
+
+// Read the hypothetical settings from the preview inputs (blank = keep current)
+function get_preview_overrides() {
+    const overrides = {};
+    const read = (selector) => {
+        const raw = $(selector).val();
+        return raw === '' || raw === undefined ? null : Number(raw);
+    };
+
+    const target = read('#ct_preview_target');
+    const batch = read('#ct_preview_batch');
+    const minKeep = read('#ct_preview_min_keep');
+    const summaryCap = read('#ct_preview_summary_cap');
+
+    if (target !== null && target !== get_settings('target_context_size')) overrides.target_context_size = target;
+    if (batch !== null && batch !== get_settings('batch_size')) overrides.batch_size = batch;
+    if (minKeep !== null && minKeep !== get_settings('min_messages_to_keep')) overrides.min_messages_to_keep = minKeep;
+    if (summaryCap !== null) {
+        overrides.auto_limit_summaries = false;
+        overrides.max_summary_injection_tokens = summaryCap;
+    }
+    return overrides;
+}
+
+// Render the before/after diff in the preview panel
+function run_truncation_preview() {
+    const $result = $('#ct_preview_result');
+    const chat = getContext().chat || [];
+
+    if (CURRENT_CONTEXT_SIZE === 0 || chat.length === 0) {
+        $result.html('<div class="ct_status_message ct_status_warning">Generate at least once in this chat to preview truncation.</div>');
+        return;
+    }
+
+    const overrides = get_preview_overrides();
+    const before = get_current_truncation_outcome();
+    const after = dry_run_truncation(overrides);
+
+    const beforeExcluded = new Set(before.excluded);
+    const afterExcluded = new Set(after.excluded);
+    const beforeSummaries = new Set(before.summaries);
+    const afterSummaries = new Set(after.summaries);
+
+    const newlyExcluded = after.excluded.filter(i => !beforeExcluded.has(i));
+    const newlyKept = before.excluded.filter(i => !afterExcluded.has(i));
+    const newlyInjected = after.summaries.filter(i => !beforeSummaries.has(i));
+    const noLongerInjected = before.summaries.filter(i => !afterSummaries.has(i));
+
+    const tokenDiff = after.predictedTotal - before.predictedTotal;
+    const row = (label, value, cls = '') => `
+        <div class="ct_stat_row">
+            <span class="ct_stat_label">${label}</span>
+            <span class="ct_stat_value ${cls}">${value}</span>
+        </div>`;
+
+    debug_trunc(`Dry run with ${JSON.stringify(overrides)}: index ${before.index}→${after.index}`);
+
+    $result.html(`
+        <div class="ct_preview_columns">
+            <div class="ct_preview_column">
+                <div class="ct_preview_heading">Current</div>
+                ${row('Index', before.index)}
+                ${row('Kept', before.index < chat.length ? `#${before.index}–${chat.length - 1}` : 'none')}
+                ${row('Tokens', before.predictedTotal.toLocaleString())}
+                ${row('Summaries', `${before.summaries.length} injected, ${before.dropped.length} dropped`)}
+            </div>
+            <div class="ct_preview_column">
+                <div class="ct_preview_heading">Preview</div>
+                ${row('Index', after.index)}
+                ${row('Kept', after.index < chat.length ? `#${after.index}–${chat.length - 1}` : 'none')}
+                ${row('Tokens', `${after.predictedTotal.toLocaleString()} (${tokenDiff > 0 ? '+' : ''}${tokenDiff.toLocaleString()})`)}
+                ${row('Summaries', `${after.summaries.length} injected, ${after.dropped.length} dropped`)}
+            </div>
+        </div>
+        <div class="ct_preview_diff">
+            ${row('<i class="fa-solid fa-minus"></i> Newly excluded', format_index_ranges(newlyExcluded), newlyExcluded.length ? 'ct_text_orange' : '')}
+            ${row('<i class="fa-solid fa-plus"></i> Newly kept', format_index_ranges(newlyKept), newlyKept.length ? 'ct_text_green' : '')}
+            ${row('<i class="fa-solid fa-file-circle-plus"></i> Summaries added', format_index_ranges(newlyInjected))}
+            ${row('<i class="fa-solid fa-file-circle-minus"></i> Summaries removed', format_index_ranges(noLongerInjected))}
+            ${row('<i class="fa-solid fa-ban"></i> Dropped by cap', format_index_ranges(after.dropped), after.dropped.length ? 'ct_text_red' : '')}
+        </div>
+    `);
+}
+
+// Helper function to calculate separator size
+function calculate_injection_separator_size(separator = null) {
+    if (separator === null) separator = get_settings('summary_injection_separator');
+    const text = "This is a test.";
+    const t1 = count_tokens(text);
+    const t2 = count_tokens(text + separator + text);
+    return t2 - (2 * t1);
+}
+
+// Helper function to check message exclusion
+function check_message_exclusion(message) {
+    if (!message) return false;
+    if (get_data(message, 'remember')) return true;
+    if (get_data(message, 'exclude')) return false;
+    if (!get_settings('include_user_messages') && message.is_user) return false;
+    if (message.is_thoughts) return false;
+    if (!get_settings('include_system_messages') && message.is_system) return false;
+    const tokenSize = count_tokens(message.mes);
     if (tokenSize < get_settings('message_length_threshold')) return false;
     return true;
 }
@@ -1187,6 +2522,7 @@ function update_message_inclusion_flags() {
                     TRUNCATION_INDEX = TRUNCATION_INDEX + batchSize;
                     LAST_STABLE_CHAT_LENGTH = chatLength;
                     debug_trunc(`LOCKED: Batch trim triggered (10% over target), index ${TRUNCATION_INDEX - batchSize}→${TRUNCATION_INDEX}`);
+                    save_truncation_index('locked batch trim');
                 } else {
                     debug_trunc(`LOCKED: Index stays at ${TRUNCATION_INDEX} (under 10% threshold)`);
                 }
@@ -1208,6 +2544,7 @@ function update_message_inclusion_flags() {
             debug_trunc(`STABLE: ${newMessages} new message(s), recalculating truncation`);
             TRUNCATION_INDEX = calculate_truncation_index();
             LAST_STABLE_CHAT_LENGTH = chatLength;
+            save_truncation_index('recalculated (stable)');
         }
     } else {
         // Not locked and not in STABLE - recalculate (WAITING or INITIAL_TRAINING)
@@ -1217,14 +2554,14 @@ function update_message_inclusion_flags() {
             LAST_STABLE_CHAT_LENGTH = chatLength;
             debug_trunc(`Initial index set to ${TRUNCATION_INDEX}, tracking ${chatLength} messages`);
         }
-        save_truncation_index();
+        save_truncation_index('recalculated');
     }
     
     // Sanity check: ensure truncation index doesn't exceed chat length
     if (TRUNCATION_INDEX > chat.length) {
         debug_trunc(`WARNING: TRUNCATION_INDEX (${TRUNCATION_INDEX}) exceeds chat length (${chat.length}), capping to chat length`);
         TRUNCATION_INDEX = chat.length;
-        save_truncation_index();
+        save_truncation_index('capped to chat length');
     }
     
     debug(`Truncation index: ${TRUNCATION_INDEX}`);
@@ -1232,28 +2569,35 @@ function update_message_inclusion_flags() {
     // Mark messages as lagging (excluded) or not
     // lagging = true means the message is BEFORE the threshold (excluded from context, "lagging behind")
     // lagging = false means the message is AT OR AFTER the threshold (kept in context)
+    // REQ-003/REQ-007: Pinned messages and per-speaker minimums are never lagging
+    const held = get_held_message_indexes(chat, TRUNCATION_INDEX || 0);
     for (let i = 0; i < chat.length; i++) {
-        const lagging = i < TRUNCATION_INDEX;
+        const lagging = i < TRUNCATION_INDEX && !held.has(i);
         set_data(chat[i], 'lagging', lagging);
         
         // If lagging (excluded) and has no summary, mark for summarization
-        if (lagging && !get_memory(chat[i]) && !chat[i].is_system) {
+        // REQ-013: Hidden messages are out of the prompt wherever they are
+        const excluded = lagging || is_message_hidden(chat[i]);
+        if (excluded && !get_memory(chat[i]) && can_summarize_message(chat[i])) {
             set_data(chat[i], 'needs_summary', true);
         }
     }
+
+    // REQ-008: A condensed boundary message needs its summary too
+    const boundary = get_partial_trim_message();
+    if (boundary && !get_memory(boundary)) {
+        set_data(boundary, 'needs_summary', true);
+    }
 }
 
-// Concatenate summaries
-function concatenate_summaries(indexes) {
-    const ctx = getContext();
-    const chat = ctx.chat;
+// Concatenate summaries (REQ-020: units are message summaries or roll-ups)
+function concatenate_summaries(units) {
     const separator = get_settings('summary_injection_separator');
     
     let summary = "";
-    for (let i of indexes) {
-        const memory = get_memory(chat[i]);
-        if (memory) {
-            summary += separator + memory;
+    for (let unit of units) {
+        if (unit.text) {
+            summary += separator + unit.text;
         }
     }
     
@@ -1262,6 +2606,10 @@ function concatenate_summaries(indexes) {
 
 // Calculate effective max summary injection tokens (auto or manual) - V22
 function get_max_summary_injection_tokens() {
+    if (get_settings('auto_limit_summaries') && get_settings('budget_allocator_enabled')) {
+        // REQ-009: Summary share from the budget allocator (at least 1 - 0 would mean unlimited)
+        return Math.max(get_budget_plan().planned.summaries, 1);
+    }
     if (get_settings('auto_limit_summaries')) {
         // Auto-calculate: 20% of target budget
         const maxContext = getMaxContextSize();
@@ -1273,53 +2621,290 @@ function get_max_summary_injection_tokens() {
 }
 
 // Collect messages that need summaries injected (V22: respects token cap)
-function collect_summary_indexes() {
+// REQ-006: isLagging/dropped let the dry-run preview evaluate a hypothetical index
+function collect_summary_indexes(isLagging = null, dropped = null) {
+    return collect_summary_units(isLagging, dropped)
+        .filter(unit => unit.level === 'message')
+        .map(unit => unit.first);
+}
+
+// REQ-013: Summaries of hidden messages stand in for them when enabled
+function is_summary_out_of_prompt(message) {
+    return get_data(message, 'lagging') || (is_message_hidden(message) && get_settings('summarize_hidden_messages'));
+}
+
+// Summaries to inject, oldest first: { level: 'message' | 'chapter' | 'arc', first, last, text, tokens }
+function collect_summary_units(isLagging = null, dropped = null) {
     const ctx = getContext();
     const chat = ctx.chat;
     const maxTokens = get_max_summary_injection_tokens();
     const separator = get_settings('summary_injection_separator');
     const sepSize = calculate_injection_separator_size(separator);
+    const rollupsEnabled = get_settings('rollup_summaries_enabled');
+    const isOut = isLagging
+        ? (i) => isLagging(i) || (is_message_hidden(chat[i]) && get_settings('summarize_hidden_messages'))
+        : (i) => is_summary_out_of_prompt(chat[i]);
     
-    const indexes = [];
+    const units = [];
     let totalTokens = 0;
     let droppedCount = 0;
+    let level = -1;  // REQ-020: -1 = message summaries, otherwise the ROLLUP_LEVELS index in use
     
     // Iterate from NEWEST to OLDEST (most recent summaries have priority)
     for (let i = chat.length - 1; i >= 0; i--) {
-        const lagging = get_data(chat[i], 'lagging');
         const memory = get_memory(chat[i]);
+        if (!memory || !isOut(i)) continue;
         
-        if (lagging && memory) {
+        if (level < 0) {
             const memoryTokens = count_tokens(memory) + sepSize;
             
             // Check if adding this summary would exceed cap
-            if (maxTokens > 0 && totalTokens + memoryTokens > maxTokens) {
-                droppedCount++;
-                continue;  // Skip this summary (dropped)
+            if (maxTokens <= 0 || totalTokens + memoryTokens <= maxTokens) {
+                units.unshift({ level: 'message', first: i, last: i, text: memory, tokens: memoryTokens });
+                totalTokens += memoryTokens;
+                continue;
             }
+            if (rollupsEnabled) level = 0;
+        }
+        
+        // REQ-020: Older spans use the finest roll-up that still fits; it replaces what it covers
+        let placed = false;
+        for (let l = Math.max(level, 0); rollupsEnabled && l < ROLLUP_LEVELS.length && !placed; l++) {
+            const rollup = find_rollup(ROLLUP_LEVELS[l], i, isOut);
+            if (!rollup) continue;
+            const covered = units.filter(unit => unit.first >= rollup.first && unit.last <= rollup.last);
+            const freed = covered.reduce((sum, unit) => sum + unit.tokens, 0);
+            const rollupTokens = rollup.tokens + sepSize;
+            if (maxTokens > 0 && totalTokens - freed + rollupTokens > maxTokens) continue;
             
-            indexes.unshift(i);  // Add to front to maintain chronological order
-            totalTokens += memoryTokens;
+            units.splice(0, covered.length, { level: ROLLUP_LEVELS[l], first: rollup.first, last: rollup.last, text: rollup.text, tokens: rollupTokens });
+            totalTokens += rollupTokens - freed;
+            level = l;
+            i = rollup.first;  // Continue before the span
+            placed = true;
         }
+        if (placed) continue;
+        
+        droppedCount++;
+        dropped?.unshift(i);
     }
     
     // Store dropped count for dashboard display
     DROPPED_SUMMARY_COUNT = droppedCount;
     
-    debug_trunc(`Summary injection: ${indexes.length} included, ${droppedCount} dropped (${totalTokens}/${maxTokens} tokens)`);
+    const rollupCount = units.filter(unit => unit.level !== 'message').length;
+    debug_trunc(`Summary injection: ${units.length - rollupCount} included, ${rollupCount} roll-ups, ${droppedCount} dropped (${totalTokens}/${maxTokens} tokens)`);
+    
+    return units;
+}
+
+// ==================== ROLL-UP SUMMARIES ====================
+// REQ-020: Instead of dropping the oldest summaries at the injection cap, spans of them are
+// condensed by the LLM into chapter summaries, and runs of chapters into arc summaries (stored
+// in chat_metadata). Injection walks from newest to oldest and moves a level up once the finer
+// one no longer fits. A roll-up is tied to the summaries it was built from and goes stale when
+// any of them changes (edit, re-summarize, deletion shifting the span).
+
+const ROLLUP_LEVELS = ['chapter', 'arc'];
+const ROLLUP_RETRY_BASE_MS = 30000;       // First wait after a failed span, doubled per failure
+const ROLLUP_RETRY_MAX_MS = 30 * 60000;
+let ROLLUP_IN_PROGRESS = false;
+let ROLLUP_FAILURES = new Map();          // Span key -> { count, retry_at }, per chat
+let PENDING_ROLLUP_INDEXES = [];          // Dropped by the last injection, condensed after the reply
+let GENERATION_IN_PROGRESS = false;       // A (non-dry-run) generation is being assembled or streamed
+
+function get_rollups(level) {
+    return chat_metadata?.[MODULE_NAME]?.rollups?.[level] ?? [];
+}
+
+// Fingerprint of the message summaries in a span
+function get_span_summary_hash(first, last) {
+    const chat = getContext().chat;
+    const memories = [];
+    for (let i = first; i <= last && i < chat.length; i++) {
+        const memory = get_memory(chat[i]);
+        if (memory) memories.push(memory);
+    }
+    return getStringHash(memories.join('\n'));
+}
+
+function is_rollup_valid(rollup) {
+    return rollup.hash === get_span_summary_hash(rollup.first, rollup.last);
+}
+
+// Valid roll-up covering the message, usable only when its whole span is out of the prompt
+function find_rollup(level, index, isOut) {
+    const chat = getContext().chat;
+    const rollup = get_rollups(level).find(r => r.first <= index && index <= r.last && is_rollup_valid(r));
+    if (!rollup) return null;
+    for (let i = rollup.first; i <= rollup.last; i++) {
+        if (get_memory(chat[i]) && !isOut(i)) return null;
+    }
+    return rollup;
+}
+
+// Full groups of `size` consecutive items; isBreak(item) ends the current group without emitting it
+function group_rollup_candidates(items, size, isBreak) {
+    const groups = [];
+    let group = [];
+    for (const item of items) {
+        if (isBreak(item)) {
+            group = [];
+            continue;
+        }
+        group.push(item);
+        if (group.length === size) {
+            groups.push(group);
+            group = [];
+        }
+    }
+    return groups;
+}
+
+async function request_rollup_summary(level, texts) {
+    const ctx = getContext();
+    const prompt = get_settings('rollup_prompt')
+        .replace(/\{\{level\}\}/g, level)
+        .replace(/\{\{words\}\}/g, get_settings('rollup_max_words'))
+        .replace(/\{\{user\}\}/g, ctx.name1 || 'User')
+        .replace(/\{\{char\}\}/g, ctx.name2 || 'Character')
+        .replace(/\{\{summaries\}\}/g, () => texts.map(text => `• ${text}`).join('\n'));
+    
+    const result = get_settings('summary_endpoint_url')
+        ? await call_summary_endpoint(prompt)
+        : await generateRaw({ prompt: prompt });
+    
+    const text = String(result ?? '')
+        .replace(/<think>[\s\S]*?<\/think>/gi, '')
+        .replace(/^\s*(summary|chapter|arc)( summary)?:\s*/i, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!text) {
+        throw new Error(`Empty ${level} summary`);
+    }
+    return text;
+}
+
+function store_rollup(level, first, last, text) {
+    if (!chat_metadata[MODULE_NAME]) {
+        chat_metadata[MODULE_NAME] = {};
+    }
+    const rollups = chat_metadata[MODULE_NAME].rollups ??= { chapter: [], arc: [] };
+    // Anything overlapping the new span is stale by construction
+    rollups[level] = rollups[level].filter(r => r.last < first || r.first > last);
+    rollups[level].push({ first, last, text, tokens: count_tokens(text), hash: get_span_summary_hash(first, last), created: Date.now() });
+    rollups[level].sort((a, b) => a.first - b.first);
+    saveMetadataDebounced();
+}
+
+// A span is identified by its level, range and summaries, so editing one retries it right away
+function get_rollup_span_key(level, first, last) {
+    return `${level}:${first}-${last}:${get_span_summary_hash(first, last)}`;
+}
+
+// Request one span unless it is backing off from an earlier failure. Only the first failure of a
+// span is toasted; refreshes during the backoff skip it silently. Returns true when stored.
+async function build_rollup_span(level, first, last, texts) {
+    const key = get_rollup_span_key(level, first, last);
+    const failure = ROLLUP_FAILURES.get(key);
+    if (failure && Date.now() < failure.retry_at) {
+        debug_trunc(`Roll-up: ${level} ${first}-${last} backing off until ${new Date(failure.retry_at).toLocaleTimeString()}`);
+        return false;
+    }
+
+    try {
+        store_rollup(level, first, last, await request_rollup_summary(level, texts));
+        ROLLUP_FAILURES.delete(key);
+        return true;
+    } catch (e) {
+        const count = (failure?.count ?? 0) + 1;
+        const delay = Math.min(ROLLUP_RETRY_BASE_MS * 2 ** (count - 1), ROLLUP_RETRY_MAX_MS);
+        ROLLUP_FAILURES.set(key, { count, retry_at: Date.now() + delay });
+        error(`Roll-up summary failed (${level} ${first}-${last}, attempt ${count}, retry in ${Math.round(delay / 1000)}s): ${e.message || String(e)}`);
+        if (count === 1) {
+            toastr.warning(`Roll-up summary failed: ${e.message || String(e)}`, MODULE_NAME_FANCY);
+        }
+        return false;
+    }
+}
+
+// Condense the spans behind dropped summaries: chapters over message summaries without one,
+// arcs over chapters that were themselves dropped
+async function build_rollups(dropped) {
+    if (ROLLUP_IN_PROGRESS || !get_settings('rollup_summaries_enabled') || dropped.length === 0) return;
+    ROLLUP_IN_PROGRESS = true;
+    
+    let built = 0;
+    try {
+        const chat = getContext().chat;
+        const droppedSet = new Set(dropped);
+        const coveredBy = (level, i) => get_rollups(level).some(r => r.first <= i && i <= r.last && is_rollup_valid(r));
+        
+        const summarized = chat.map((m, i) => i).filter(i => get_memory(chat[i]) && is_summary_out_of_prompt(chat[i]));
+        const chapterGroups = group_rollup_candidates(summarized, get_settings('rollup_chapter_size'), i => coveredBy('chapter', i))
+            .filter(group => group.some(i => droppedSet.has(i)));
+        for (const group of chapterGroups) {
+            const first = group[0];
+            const last = group[group.length - 1];
+            debug_trunc(`Roll-up: condensing messages ${first}-${last} into a chapter`);
+            if (await build_rollup_span('chapter', first, last, group.map(i => get_memory(chat[i])))) built++;
+        }
+        
+        const chapters = get_rollups('chapter').filter(is_rollup_valid);
+        const arcGroups = group_rollup_candidates(chapters, get_settings('rollup_arc_size'), chapter => coveredBy('arc', chapter.first))
+            .filter(group => group.some(chapter => dropped.some(i => chapter.first <= i && i <= chapter.last)));
+        for (const group of arcGroups) {
+            const first = group[0].first;
+            const last = group[group.length - 1].last;
+            debug_trunc(`Roll-up: condensing chapters ${first}-${last} into an arc`);
+            if (await build_rollup_span('arc', first, last, group.map(chapter => chapter.text))) built++;
+        }
+    } catch (e) {
+        error(`Roll-up summary failed: ${e.message || String(e)}`);
+        toastr.warning(`Roll-up summary failed: ${e.message || String(e)}`, MODULE_NAME_FANCY);
+    } finally {
+        ROLLUP_IN_PROGRESS = false;
+    }
     
-    return indexes;
+    if (built > 0) {
+        debug_trunc(`Roll-up: ${built} new roll-up summaries`);
+        refresh_memory();
+        update_summary_stats_display();
+    }
+}
+
+// Start the roll-ups the last injection asked for. Runs after a reply, never from the generate
+// interceptor. Without a summary endpoint they go through generateRaw on the main API, which runs
+// one request at a time, so they wait while a generation or the summary queue holds it.
+function run_pending_rollups() {
+    if (PENDING_ROLLUP_INDEXES.length === 0 || !get_settings('rollup_summaries_enabled')) return;
+    if (!get_settings('summary_endpoint_url') && (GENERATION_IN_PROGRESS || summaryQueue.active)) {
+        debug_trunc('Roll-up: main API busy, deferred to the next reply');
+        return;
+    }
+    const dropped = PENDING_ROLLUP_INDEXES;
+    PENDING_ROLLUP_INDEXES = [];
+    build_rollups(dropped);
+}
+
+function clear_rollups() {
+    if (chat_metadata?.[MODULE_NAME]?.rollups) {
+        delete chat_metadata[MODULE_NAME].rollups;
+        saveMetadataDebounced();
+    }
+    refresh_memory();
+    update_summary_stats_display();
 }
 
 // Get summary injection text
 function get_summary_injection() {
-    const indexes = collect_summary_indexes();
+    const units = collect_summary_units();
     
-    if (indexes.length === 0) {
+    if (units.length === 0) {
         return "";
     }
     
-    const summaries = concatenate_summaries(indexes);
+    const summaries = concatenate_summaries(units);
     const template = get_settings('summary_injection_template');
     
     return template.replace('{{summaries}}', summaries);
@@ -1341,7 +2926,8 @@ function refresh_memory() {
     
     // Get summary injection text
     const injection = get_summary_injection();
-    const summaryIndexes = collect_summary_indexes();
+    const droppedIndexes = [];
+    const summaryIndexes = collect_summary_indexes(null, droppedIndexes);
     const summaryTokens = injection ? count_tokens(injection) : 0;
     
     // Log summary injection details
@@ -1354,6 +2940,20 @@ function refresh_memory() {
         debug_trunc(`═════════════════════════`);
     }
     
+    // REQ-002: Remember the block and predict how much of the cached prefix survives
+    LAST_SUMMARY_INJECTION = injection;
+    LAST_PREDICTED_CACHE_HIT = predict_cache_hit(TRUNCATION_INDEX || 0);
+
+    // REQ-017: The category prediction takes this generation's blocks, so each factor is fit
+    // against its own prompt rather than the change since the previous one
+    if (LAST_PREDICTED_CATEGORIES) {
+        LAST_PREDICTED_CATEGORIES = {
+            ...LAST_PREDICTED_CATEGORIES,
+            summaries: injection ? count_tokens(injection) : 0,
+            memories: get_qdrant_injection_tokens(),
+        };
+    }
+
     // Inject summaries
     ctx.setExtensionPrompt(
         `${MODULE_NAME}_summaries`,
@@ -1365,6 +2965,9 @@ function refresh_memory() {
     );
     
     debug_trunc(`Injected ${summaryIndexes.length} summaries (${summaryTokens} tokens)`);
+    
+    // REQ-020: Condensed after the reply (run_pending_rollups) - this runs inside the interceptor
+    PENDING_ROLLUP_INDEXES = get_settings('rollup_summaries_enabled') ? droppedIndexes : [];
 }
 
 // Global variable to store context size from intercept
@@ -1382,30 +2985,136 @@ let LAST_VALID_MAX_CONTEXT = null;
 
 // Adaptive correction factor (learned from previous generations)
 let CHAT_TOKEN_CORRECTION_FACTOR = 1.0;  // Multiplier for chat token estimates
+let CATEGORY_CORRECTION_FACTORS = create_category_factors();  // REQ-017: Summaries / memories / static prompt
+let LAST_PREDICTED_CATEGORIES = null;  // REQ-017: Uncorrected non-chat tokens per category, last prediction
+let LAST_PROMPT_CATEGORIES = null;     // REQ-017: Non-chat tokens per category measured in the last prompt
+
+// ==================== GENERATION POLICIES ====================
+// REQ-010: Swipes and regenerations should send the exact prompt prefix of the generation
+// they repeat, so the provider cache stays warm. A refresh records what was excluded and
+// injected; a reuse replays that record instead of recalculating.
+
+const GENERATION_POLICY_TYPES = ['normal', 'swipe', 'regenerate', 'continue', 'impersonate', 'quiet'];
+
+// Last refreshed generation: excluded messages (by snapshot key) and injected blocks
+let LAST_GENERATION_SNAPSHOT = null;
+
+function get_generation_policy(type) {
+    return get_settings('generation_policies')?.[type || 'normal'] ?? 'refresh';
+}
+
+// Message identity across generations: chat index plus text hash. Message objects are replaced
+// on edits, swipes and chat reloads, so references go stale between two generations.
+function get_snapshot_message_key(index, message) {
+    return `${index}:${getStringHash(message?.mes ?? '')}`;
+}
+
+function capture_generation_snapshot() {
+    const ctx = getContext();
+    const chat = ctx.chat || [];
+    const excluded = new Set();
+    chat.forEach((message, index) => {
+        if (get_data(message, 'lagging') && !is_message_pinned(message)) excluded.add(get_snapshot_message_key(index, message));
+    });
+    const partialTrimMessage = get_settings('enabled') ? get_partial_trim_message() : null;
+    const partialTrimIndex = partialTrimMessage ? chat.indexOf(partialTrimMessage) : -1;
+
+    LAST_GENERATION_SNAPSHOT = {
+        chat_id: ctx.chatId,
+        truncation_index: TRUNCATION_INDEX || 0,
+        excluded,
+        partial_trim_key: partialTrimIndex >= 0 ? get_snapshot_message_key(partialTrimIndex, partialTrimMessage) : null,
+        partial_trim_text: partialTrimIndex >= 0 ? build_condensed_message(partialTrimMessage) : null,
+        summary_injection: LAST_SUMMARY_INJECTION || '',
+        qdrant_injection: CURRENT_QDRANT_INJECTION,
+        qdrant_memories: [...CURRENT_QDRANT_MEMORIES],
+    };
+}
+
+// Snapshot usable for the current chat (null if none). A message it excluded or trimmed that was
+// since edited or deleted means the old prefix can't be rebuilt, so that generation refreshes.
+function get_replayable_snapshot() {
+    const snapshot = LAST_GENERATION_SNAPSHOT;
+    const ctx = getContext();
+    if (!snapshot || snapshot.chat_id !== ctx.chatId) return null;
+
+    const current = new Set((ctx.chat || []).map((message, index) => get_snapshot_message_key(index, message)));
+    const stale = [...snapshot.excluded, snapshot.partial_trim_key].filter(key => key && !current.has(key));
+    if (stale.length > 0) {
+        debug(`Previous generation is stale (${stale.length} changed message(s)), not reusing it`);
+        return null;
+    }
+    return snapshot;
+}
+
+// Re-install the injections of a previous generation verbatim
+function replay_generation_snapshot(snapshot) {
+    const ctx = getContext();
+    if (get_settings('enabled')) {
+        ctx.setExtensionPrompt(
+            `${MODULE_NAME}_summaries`,
+            snapshot.summary_injection,
+            get_settings('injection_position'),
+            get_settings('injection_depth'),
+            false,
+            get_settings('injection_role')
+        );
+    }
+    if (get_settings('qdrant_enabled')) {
+        CURRENT_QDRANT_MEMORIES = [...snapshot.qdrant_memories];
+        CURRENT_QDRANT_INJECTION = snapshot.qdrant_injection;
+        ctx.setExtensionPrompt(
+            `${MODULE_NAME}_qdrant_memories`,
+            snapshot.qdrant_injection,
+            extension_prompt_types.IN_CHAT,
+            get_settings('memory_position'),
+            false,
+            extension_prompt_roles.SYSTEM
+        );
+    }
+    debug(`Replaying previous generation (index ${snapshot.truncation_index}, ${snapshot.excluded.size} excluded)`);
+}
 
 // Message interception hook (called by SillyTavern before generation)
 // Note: This is now an async function for Qdrant support
 globalThis.truncator_intercept_messages = async function (chat, contextSize, abort, type) {
     if (!get_settings('enabled') && !get_settings('qdrant_enabled')) return;
     
+    // REQ-010: Per-type policy
+    const policy = get_generation_policy(type);
+    if (policy === 'skip') {
+        debug(`Intercepting messages. Type: ${type} - skipped by policy`);
+        return;
+    }
+    const replay = policy === 'reuse' ? get_replayable_snapshot() : null;
+    if (policy === 'reuse' && !replay) {
+        debug(`No previous generation to reuse for ${type}, refreshing`);
+    }
+    
     // Store context size for calculation
     CURRENT_CONTEXT_SIZE = contextSize;
     
-    // Refresh Qdrant memories first (async) - if enabled
-    if (get_settings('qdrant_enabled')) {
-        try {
-            await refresh_qdrant_memories();
-        } catch (e) {
-            error('Failed to refresh Qdrant memories:', e);
+    if (replay) {
+        replay_generation_snapshot(replay);
+    } else {
+        // Refresh Qdrant memories first (async) - if enabled
+        if (get_settings('qdrant_enabled')) {
+            try {
+                await refresh_qdrant_memories();
+            } catch (e) {
+                error('Failed to refresh Qdrant memories:', e);
+            }
         }
+        
+        // Refresh memory state (calculates truncation, sets flags)
+        if (get_settings('enabled')) {
+            refresh_memory();
+        }
+        
+        capture_generation_snapshot();
     }
     
-    // Refresh memory state (calculates truncation, sets flags)
-    if (get_settings('enabled')) {
-        refresh_memory();
-    }
-    
-    debug(`Intercepting messages. Type: ${type}, Context: ${contextSize}`);
+    debug(`Intercepting messages. Type: ${type}, Policy: ${replay ? 'reuse' : 'refresh'}, Context: ${contextSize}`);
     
     // Determine which messages to process
     let start = chat.length - 1;
@@ -1413,6 +3122,14 @@ globalThis.truncator_intercept_messages = async function (chat, contextSize, abo
     
     // Get IGNORE_SYMBOL
     let IGNORE_SYMBOL = getContext().symbols.ignore;
+
+    // REQ-008: Oversized message at the cut (matched by reference - the interceptor chat has no system messages)
+    const partialTrimMessage = replay ? null : (get_settings('enabled') ? get_partial_trim_message() : null);
+
+    // REQ-010: The replay is keyed on chat index + hash; the interceptor chat holds the same
+    // message objects as the context chat, so their chat index is found by reference
+    const chatIndexes = replay ? new Map(getContext().chat.map((message, index) => [message, index])) : null;
+    const replay_key = (message) => chatIndexes.has(message) ? get_snapshot_message_key(chatIndexes.get(message), message) : null;
     
     // Mark messages with IGNORE_SYMBOL based on lagging flag
     // lagging = true means excluded (IGNORE_SYMBOL = true)
@@ -1426,7 +3143,8 @@ globalThis.truncator_intercept_messages = async function (chat, contextSize, abo
         }
         
         let message = chat[i];
-        let lagging = get_data(message, 'lagging');
+        const key = replay ? replay_key(message) : null;
+        let lagging = replay ? replay.excluded.has(key) : get_data(message, 'lagging') && !is_message_pinned(message);
         
         chat[i] = structuredClone(chat[i]);
         
@@ -1436,6 +3154,12 @@ globalThis.truncator_intercept_messages = async function (chat, contextSize, abo
         }
         
         chat[i].extra[IGNORE_SYMBOL] = lagging;
+
+        const partialTrim = replay ? key !== null && key === replay.partial_trim_key : message === partialTrimMessage;
+        if (partialTrim && !lagging) {
+            chat[i].mes = replay ? replay.partial_trim_text : build_condensed_message(message);
+            debug_trunc(`Partially trimmed boundary message (${count_tokens(message.mes)} → ${count_tokens(chat[i].mes)} tokens)`);
+        }
         
         if (lagging) {
             excluded_count++;
@@ -1494,8 +3218,12 @@ function update_status_display() {
     
     // Calculate and apply adaptive correction factor
     // V33: Skip factor update in STABLE, or when prediction is already very accurate (<1% error)
-    const predictionError = Math.abs(actualSize - LAST_PREDICTED_SIZE) / LAST_PREDICTED_SIZE;
-    const skipFactorUpdate = CALIBRATION_STATE === 'STABLE' || predictionError < 0.01;
+    const updateFactor = should_update_factor({
+        phase: CALIBRATION_STATE,
+        actual_size: actualSize,
+        predicted_size: LAST_PREDICTED_SIZE,
+        predicted_chat: LAST_PREDICTED_CHAT_SIZE,
+    });
 
     // V34 FIX: Skip factor update entirely if no raw prompt
     // This prevents estimation-based index jumps
@@ -1507,52 +3235,59 @@ function update_status_display() {
         return;
     }
 
-    if (LAST_PREDICTED_SIZE > 0 && LAST_PREDICTED_CHAT_SIZE > 0 && !skipFactorUpdate) {
-        // Analyze actual chat vs non-chat from current prompt
-        const segments = get_prompt_chat_segments_from_raw(last_raw_prompt);
-        const actualChatTokens = segments ? segments.reduce((sum, seg) => sum + seg.tokenCount, 0) : 0;
-        const actualNonChatTokens = actualSize - actualChatTokens;
-        
-        // V29 FIX: Calculate correction factor using RAW prediction (not corrected)
-        // This breaks the feedback loop where corrected predictions caused factor convergence to sqrt(target)
-        const newCorrectionFactor = actualChatTokens / LAST_PREDICTED_CHAT_SIZE_RAW;
+    // Analyze actual chat vs non-chat from current prompt
+    const segments = get_prompt_chat_segments_from_raw(last_raw_prompt);
+    const actualChatTokens = segments ? segments.reduce((sum, seg) => sum + seg.tokenCount, 0) : 0;
+    const actualNonChatTokens = actualSize - actualChatTokens;
+    // REQ-017: What this prompt actually carried per non-chat category, measured in the raw prompt.
+    // A block that can't be found there falls back to its own count and isn't fitted.
+    const summaryBlockTokens = measure_injection_tokens(last_raw_prompt, LAST_SUMMARY_INJECTION);
+    const memoryBlockTokens = measure_injection_tokens(last_raw_prompt, CURRENT_QDRANT_INJECTION);
+    const actualCategories = split_non_chat_tokens(Math.max(actualNonChatTokens, 0), {
+        summaries: summaryBlockTokens ?? (LAST_SUMMARY_INJECTION ? count_tokens(LAST_SUMMARY_INJECTION) : 0),
+        memories: memoryBlockTokens ?? get_qdrant_injection_tokens(),
+        lore: measure_lore_tokens(last_raw_prompt),
+    });
+
+    if (updateFactor) {
+        // V29 FIX: Correction factor uses the RAW prediction (see calibration.js)
         const oldCorrectionFactor = CHAT_TOKEN_CORRECTION_FACTOR;
+        const update = update_correction_factor({
+            factor: oldCorrectionFactor,
+            actual_chat: actualChatTokens,
+            predicted_chat: LAST_PREDICTED_CHAT_SIZE,
+            predicted_chat_raw: LAST_PREDICTED_CHAT_SIZE_RAW,
+            first_measurement: GENERATION_COUNT === 1 && CALIBRATION_STATE === 'INITIAL_TRAINING',
+        });
+        CHAT_TOKEN_CORRECTION_FACTOR = update.factor;
         
-        // V33: Use higher weight on first measurement (faster initial convergence)
-        const predictedChat = LAST_PREDICTED_CHAT_SIZE;
-        const errorPercent = Math.abs(predictedChat - actualChatTokens) / actualChatTokens;
-        const isFirstMeasurement = GENERATION_COUNT === 1 && CALIBRATION_STATE === 'INITIAL_TRAINING';
-        const newWeight = isFirstMeasurement ? 0.80 : (errorPercent > 0.20 ? 0.60 : 0.40);
-        
-        // Smooth the correction factor using adaptive weight
-        CHAT_TOKEN_CORRECTION_FACTOR = (newWeight * newCorrectionFactor) + ((1 - newWeight) * oldCorrectionFactor);
-        
-        debug_trunc(`  Smoothing weight: ${newWeight} (error: ${(errorPercent * 100).toFixed(1)}%)`);
-        
-        // V32 FIX: Clamp correction factor to prevent runaway deviation
-        // Lower bound relaxed from 0.7 to 0.5 to handle edge cases
-        const MIN_CORRECTION_FACTOR = 0.5;
-        const MAX_CORRECTION_FACTOR = 1.5;
-        CHAT_TOKEN_CORRECTION_FACTOR = Math.max(MIN_CORRECTION_FACTOR, Math.min(MAX_CORRECTION_FACTOR, CHAT_TOKEN_CORRECTION_FACTOR));
-        
-        debug_trunc(`  Bounded factor: ${CHAT_TOKEN_CORRECTION_FACTOR.toFixed(3)} (min: ${MIN_CORRECTION_FACTOR}, max: ${MAX_CORRECTION_FACTOR})`);
+        debug_trunc(`  Smoothing weight: ${update.weight} (error: ${(update.error * 100).toFixed(1)}%), raw factor: ${update.raw_factor.toFixed(3)}`);
         
         // Log correction factor updates (simplified)
         debug_trunc(`Factor Update: ${oldCorrectionFactor.toFixed(3)}→${CHAT_TOKEN_CORRECTION_FACTOR.toFixed(3)} | Pred: ${LAST_PREDICTED_SIZE} Actual: ${actualSize} (${((actualSize - LAST_PREDICTED_SIZE) / LAST_PREDICTED_SIZE * 100).toFixed(1)}%)`);
         debug_trunc(`  Chat: pred ${LAST_PREDICTED_CHAT_SIZE} actual ${actualChatTokens} | Non-chat: pred ${LAST_PREDICTED_NON_CHAT_SIZE} actual ${actualNonChatTokens}`);
+
+        // REQ-017: Each non-chat category learns its own factor, so a lore or memory spike stays out of the chat factor
+        if (LAST_PREDICTED_CATEGORIES) {
+            CATEGORY_CORRECTION_FACTORS = update_category_factors(CATEGORY_CORRECTION_FACTORS, {
+                actual: {
+                    ...actualCategories,
+                    summaries: summaryBlockTokens === null ? 0 : actualCategories.summaries,
+                    memories: memoryBlockTokens === null ? 0 : actualCategories.memories,
+                },
+                predicted_raw: LAST_PREDICTED_CATEGORIES,
+            });
+            debug_trunc(`  Category factors: ${format_category_factors()}`);
+        }
         
         // V34 BUG-002 FIX: Defensive save after correction factor update
         // Ensures factor is persisted immediately after being learned
-        save_truncation_index();
+        save_truncation_index('correction factor learned');
 
         // V33: Update learned non-chat ratio for future fallback
-        // NOTE: Must be inside this block because actualNonChatTokens is defined here
-        if (actualSize > 0 && actualNonChatTokens > 0) {
-            LAST_KNOWN_NON_CHAT_RATIO = actualNonChatTokens / actualSize;
-            // Clamp to reasonable bounds (20% - 60%)
-            LAST_KNOWN_NON_CHAT_RATIO = Math.max(0.20, Math.min(0.60, LAST_KNOWN_NON_CHAT_RATIO));
-        }
+        LAST_KNOWN_NON_CHAT_RATIO = update_non_chat_ratio(LAST_KNOWN_NON_CHAT_RATIO, actualSize, actualNonChatTokens);
     }
+    LAST_PROMPT_CATEGORIES = actualCategories;
     
     // Determine color based on error percentage
     let bgColor, textColor;
@@ -1586,6 +3321,9 @@ function update_status_display() {
     debug(`  Display shown, visibility: ${$display.css('display')}`);
     
     LAST_ACTUAL_PROMPT_SIZE = actualSize;
+
+    // REQ-002: Measure how much of this prompt was shared with the previous one
+    record_cache_generation(last_raw_prompt, actualSize);
     
     // Call generation summary with collected data
     const ctx = getContext();
@@ -1634,7 +3372,9 @@ function reset_calibration() {
     STABLE_COUNT = 0;
     RETRAIN_COUNT = 0;
     CHAT_TOKEN_CORRECTION_FACTOR = 1.0;
+    CATEGORY_CORRECTION_FACTORS = create_category_factors();
     LAST_STABLE_CHAT_LENGTH = 0;  // V33: Clear STABLE tracking
+    reset_cache_simulation();
 
     debug('Calibration reset to WAITING');
     update_calibration_ui();
@@ -1644,6 +3384,7 @@ function reset_calibration() {
 
 // Auto-calibrate target context size based on actual usage
 function calibrate_target_size(actualSize) {
+    const previousState = CALIBRATION_STATE;  // REQ-015: For the telemetry log
     const maxContext = getMaxContextSize();
     const targetUtilization = get_settings('target_utilization');
     const autoCalibrate = get_settings('auto_calibrate_target');
@@ -1674,105 +3415,77 @@ function calibrate_target_size(actualSize) {
         debug_trunc(`  Qdrant tokens (info only, not subtracted from calibration target): ${qdrantAvg}`);
     }
     
-    const deviation = Math.abs((actualSize - calibratedTarget) / calibratedTarget);
+    // REQ-011: In watermark mode the prompt sweeps the band between the marks; only leaving it counts
+    const deviation = is_watermark_mode()
+        ? get_watermark_deviation(actualSize, calibratedTarget)
+        : compute_deviation({ actual_size: actualSize, target: calibratedTarget });
     
     // Keep utilization for display/logging purposes
     const currentUtilization = actualSize / maxContext;
-    
-    
-    switch (CALIBRATION_STATE) {
-        case 'WAITING':
-            // Check if we've reached the threshold to start calibrating
-            // V34 BUG-001 FIX: Also check if truncation is active (messages being excluded)
-            // If truncation is active, we should start calibrating immediately even if under threshold
-            const truncationActive = TRUNCATION_INDEX !== null && TRUNCATION_INDEX > 0;
-            
-            if (actualSize < startThreshold && !truncationActive) {
-            } else {
-                // Transition to INITIAL_TRAINING
-                CALIBRATION_STATE = 'INITIAL_TRAINING';
-                GENERATION_COUNT = 0;
-                // REQ-003: Removed threshold popup - state transition is silent
-            }
-            break;
-            
-        case 'INITIAL_TRAINING':
-            // Wait for correction factor to stabilize
-            GENERATION_COUNT++;
+    
+    
+    // REQ-016: Transitions live in calibration.js; this applies their side effects
+    const truncationActive = TRUNCATION_INDEX !== null && TRUNCATION_INDEX > 0;
+    // REQ-011: The ratchet first moves at the high watermark
+    const waitThreshold = is_watermark_mode() ? get_watermark_levels(startThreshold).high : startThreshold;
+    const step = step_calibration({
+        phase: CALIBRATION_STATE,
+        generation_count: GENERATION_COUNT,
+        stable_count: STABLE_COUNT,
+        retrain_count: RETRAIN_COUNT,
+        last_factor: LAST_CORRECTION_FACTOR,
+    }, {
+        actual_size: actualSize,
+        wait_threshold: waitThreshold,
+        deviation,
+        tolerance,
+        truncation_active: truncationActive,
+        factor: CHAT_TOKEN_CORRECTION_FACTOR,
+        has_profile: CHAT_TOKEN_CORRECTION_FACTOR === 1.0 && !!get_calibration_profile(),
+    });
 
-            if (GENERATION_COUNT >= TRAINING_GENERATIONS) {
-                CALIBRATION_STATE = 'CALIBRATING';
-                GENERATION_COUNT = 0;
-                // V33: Initialize chat length tracking for index locking
+    CALIBRATION_STATE = step.state.phase;
+    GENERATION_COUNT = step.state.generation_count;
+    STABLE_COUNT = step.state.stable_count;
+    RETRAIN_COUNT = step.state.retrain_count;
+    LAST_CORRECTION_FACTOR = step.state.last_factor;
+
+    if (step.factor_change !== null) {
+        debug_trunc(`Factor convergence: ${(step.factor_change * 100).toFixed(2)}% change (threshold: 2%), stable count: ${STABLE_COUNT}/${STABLE_THRESHOLD}`);
+    }
+
+    for (const event of step.events) {
+        switch (event) {
+            case 'seed_profile':
+                seed_from_calibration_profile();
+                break;
+            case 'lock_index':
+                // V33: Track chat length for index locking
                 LAST_STABLE_CHAT_LENGTH = getContext().chat?.length || 0;
-                debug_trunc(`Entering CALIBRATING with ${LAST_STABLE_CHAT_LENGTH} messages`);
-                // Calculate initial target based on learned correction factor
-                calculate_calibrated_target(maxContext, targetUtilization);
-            }
-            break;
-            
-        case 'CALIBRATING':
-            // V34 FIX: Use factor convergence for stability, not deviation
-            // Factor convergence is more stable than target deviation
-            const factorChange = Math.abs(CHAT_TOKEN_CORRECTION_FACTOR - LAST_CORRECTION_FACTOR);
-            const factorConverged = factorChange < 0.02;  // < 2% change = converged
-
-            // Update factor tracking
-            LAST_CORRECTION_FACTOR = CHAT_TOKEN_CORRECTION_FACTOR;
-
-            debug_trunc(`Factor convergence: ${(factorChange * 100).toFixed(2)}% change (threshold: 2%)`);
-
-            if (factorConverged) {
-                STABLE_COUNT++;
-                debug_trunc(`Factor converged! Stable count: ${STABLE_COUNT}/${STABLE_THRESHOLD}`);
-
-                if (STABLE_COUNT >= STABLE_THRESHOLD) {
-                    CALIBRATION_STATE = 'STABLE';
-                    // V33: Track chat length for STABLE state locking
-                    LAST_STABLE_CHAT_LENGTH = getContext().chat?.length || 0;
-                    debug_trunc(`Entering STABLE state with ${LAST_STABLE_CHAT_LENGTH} messages`);
-                    toastr.success(`Calibration complete! Target: ${get_settings('target_context_size').toLocaleString()} tokens`, MODULE_NAME_FANCY);
-                }
-            } else {
-                // Factor still changing - decay stable count only for very large swings
-                // Relaxed threshold: only decay if factor is swinging extremely wildly (> 10% change)
-                if (factorChange > 0.10) {
-                    STABLE_COUNT = Math.max(0, STABLE_COUNT - 1);
-                    debug_trunc(`Factor unstable (${(factorChange * 100).toFixed(1)}% change), stable count: ${STABLE_COUNT}`);
-                }
-                // Don't recalculate target during calibration - just learn the factor
-                // calculate_calibrated_target() removed to prevent instability
-            }
-            break;
-            
-        case 'RETRAINING':
-            // Similar to initial training but after destabilization
-            RETRAIN_COUNT++;
-            
-            if (RETRAIN_COUNT >= TRAINING_GENERATIONS) {
-                CALIBRATION_STATE = 'CALIBRATING';
-                RETRAIN_COUNT = 0;
-                STABLE_COUNT = 0;
+                debug_trunc(`Entering ${CALIBRATION_STATE} with ${LAST_STABLE_CHAT_LENGTH} messages`);
+                break;
+            case 'calibrate_target':
                 calculate_calibrated_target(maxContext, targetUtilization);
-            }
-            break;
-            
-        case 'STABLE':
-            // Monitor for destabilization
-            if (deviation > tolerance * 1.5) {  // Use 1.5x tolerance to avoid bouncing
-                CALIBRATION_STATE = 'RETRAINING';
-                RETRAIN_COUNT = 0;
-                STABLE_COUNT = 0;
+                break;
+            case 'stable':
+                save_calibration_profile();
+                toastr.success(`Calibration complete! Target: ${get_settings('target_context_size').toLocaleString()} tokens`, MODULE_NAME_FANCY);
+                break;
+            case 'save_profile':
+                save_calibration_profile();  // REQ-014: Keep the model profile current
+                break;
+            case 'destabilized':
                 LAST_STABLE_CHAT_LENGTH = 0;  // V33: Clear STABLE tracking
                 toastr.warning('Calibration destabilized - retraining...', MODULE_NAME_FANCY);
-            }
-            break;
+                break;
+        }
     }
     
     // Single calibration summary line
     debug_trunc(`Calibration: ${CALIBRATION_STATE} | Dev: ${(deviation * 100).toFixed(1)}% | Stable: ${STABLE_COUNT}/${STABLE_THRESHOLD}`);
+    record_calibration_telemetry({ actualSize, deviation, tolerance, previousState });
     
-    save_truncation_index();
+    save_truncation_index('calibration');
     update_calibration_ui();
     update_overview_tab();  // BUG-001 FIX: Sync Overview tab after state transitions
 }
@@ -1783,8 +3496,6 @@ function calculate_calibrated_target(maxContext, targetUtilization) {
     // If correction factor > 1, we're underestimating (need higher target)
     // If correction factor < 1, we're overestimating (need lower target)
     
-    const idealTarget = Math.floor(maxContext * targetUtilization);
-    
     // V35 FIX: Remove Qdrant adjustment here - it's already handled in calculate_truncation_index()
     // via the Synergy adjustment. Double-subtracting causes underutilization.
     // Log the average for debugging but don't subtract it again.
@@ -1795,28 +3506,31 @@ function calculate_calibrated_target(maxContext, targetUtilization) {
     
     // Fix 4.1: Dampened target adjustment - move only 70% toward the ideal
     // This prevents overcorrection and oscillation
-    const rawAdjustedTarget = Math.floor(idealTarget / CHAT_TOKEN_CORRECTION_FACTOR);
+    // REQ-011: In watermark mode the prompt peaks at the high mark, so that is what should hit the ideal
     const currentTarget = get_settings('target_context_size');
-    const dampingFactor = 0.7;  // Only move 70% of the way to the new target
-    const adjustedTarget = Math.floor(currentTarget + (rawAdjustedTarget - currentTarget) * dampingFactor);
-    
-    // Clamp to reasonable bounds
-    const minTarget = Math.floor(maxContext * 0.3);  // At least 30% of max
-    const maxTarget = Math.floor(maxContext * 0.95); // At most 95% of max
-    const finalTarget = Math.max(minTarget, Math.min(maxTarget, adjustedTarget));
+    const calibrated = compute_calibrated_target({
+        max_context: maxContext,
+        target_utilization: targetUtilization,
+        factor: CHAT_TOKEN_CORRECTION_FACTOR,
+        current_target: currentTarget,
+        peak_ratio: is_watermark_mode() ? get_settings('watermark_high') : 1,
+    });
+    const rawAdjustedTarget = calibrated.raw;
+    const adjustedTarget = calibrated.dampened;
+    const finalTarget = calibrated.target;
     
     debug_trunc(`  Calculating calibrated target:`);
-    debug_trunc(`    Ideal target: ${idealTarget}`);
+    debug_trunc(`    Ideal target: ${calibrated.ideal}`);
     debug_trunc(`    Correction factor: ${CHAT_TOKEN_CORRECTION_FACTOR.toFixed(3)}`);
     debug_trunc(`    Raw adjusted target: ${rawAdjustedTarget}`);
     debug_trunc(`    Dampened target: ${adjustedTarget}`);
     debug_trunc(`    Final target: ${finalTarget}`);
     
     // V33: Reduced from 5% to 3% - dampening already prevents oscillation
-    const changePct = Math.abs(finalTarget - currentTarget) / currentTarget;
+    const changePct = calibrated.change;
     
-    if (changePct > 0.03) {
-        set_settings('target_context_size', finalTarget);
+    if (calibrated.apply) {
+        set_settings('target_context_size', finalTarget, get_calibration_layer('target_context_size'));
         $('#ct_target_size').val(finalTarget);
         
         // V34 FIX: Only reset truncation index if NOT in active calibration
@@ -1965,6 +3679,258 @@ function update_stability_ui() {
     // Otherwise default white text
 }
 
+// ==================== CALIBRATION TELEMETRY ====================
+// REQ-015: A bounded per-chat log of every calibration step, charted in the Overview and
+// exportable for bug reports (debug_trunc output is gone once the console is closed).
+
+const CALIBRATION_LOG_LIMIT = 300;
+const CALIBRATION_LOG_COLUMNS = [
+    'timestamp', 'chat_length', 'truncation_index', 'predicted', 'actual', 'correction_factor',
+    'deviation', 'tolerance', 'qdrant_tokens', 'state_before', 'state',
+    // REQ-016: Inputs replay_calibration() needs to re-run the log offline
+    'predicted_chat_raw', 'predicted_non_chat', 'actual_chat', 'max_context', 'target',
+];
+
+function get_calibration_log() {
+    return chat_metadata?.[MODULE_NAME]?.calibration_log ?? [];
+}
+
+function record_calibration_telemetry({ actualSize, deviation, tolerance, previousState }) {
+    if (!chat_metadata[MODULE_NAME]) {
+        chat_metadata[MODULE_NAME] = {};
+    }
+    const log = chat_metadata[MODULE_NAME].calibration_log ??= [];
+    const raw = get_last_prompt_raw();
+    const segments = raw ? get_prompt_chat_segments_from_raw(raw) : null;
+
+    log.push({
+        timestamp: Date.now(),
+        chat_length: getContext().chat?.length || 0,
+        truncation_index: TRUNCATION_INDEX || 0,
+        predicted: LAST_PREDICTED_SIZE,
+        actual: actualSize,
+        correction_factor: Number(CHAT_TOKEN_CORRECTION_FACTOR.toFixed(4)),
+        deviation: Number(deviation.toFixed(4)),
+        tolerance: Number(tolerance.toFixed(4)),
+        qdrant_tokens: get_qdrant_injection_tokens(),
+        state_before: previousState,
+        state: CALIBRATION_STATE,
+        predicted_chat_raw: LAST_PREDICTED_CHAT_SIZE_RAW,
+        predicted_non_chat: LAST_PREDICTED_NON_CHAT_SIZE,
+        actual_chat: segments ? segments.reduce((sum, seg) => sum + seg.tokenCount, 0) : 0,
+        max_context: getMaxContextSize(),
+        target: get_settings('target_context_size'),
+    });
+    if (log.length > CALIBRATION_LOG_LIMIT) {
+        log.splice(0, log.length - CALIBRATION_LOG_LIMIT);
+    }
+    // Persisted by the save_truncation_index() that follows in calibrate_target_size
+}
+
+// Predicted vs actual prompt size over the logged generations (inline SVG)
+function update_calibration_chart() {
+    const $chart = $('#ct_calibration_chart');
+    if (!$chart.length) return;
+
+    const log = get_calibration_log();
+    $('#ct_calibration_log_count').text(log.length ? `Calibration Log (${log.length})` : 'Calibration Log');
+    if (log.length < 2) {
+        $chart.html('<div class="ct_memory_empty">Needs at least two calibrated generations</div>');
+        return;
+    }
+
+    const width = 300;
+    const height = 100;
+    const values = log.flatMap(entry => [entry.predicted, entry.actual]).filter(v => v > 0);
+    const max = Math.max(...values, get_settings('target_context_size'));
+    const min = Math.min(...values);
+    const range = Math.max(max - min, 1);
+    const x = (i) => (i / (log.length - 1) * width).toFixed(1);
+    const y = (value) => (height - ((value - min) / range) * height).toFixed(1);
+    const line = (key) => log.map((entry, i) => `${x(i)},${y(entry[key] || min)}`).join(' ');
+
+    const transitions = log
+        .map((entry, i) => entry.state !== entry.state_before
+            ? `<line class="ct_chart_transition" x1="${x(i)}" y1="0" x2="${x(i)}" y2="${height}"><title>${entry.state_before} → ${entry.state}</title></line>`
+            : '')
+        .join('');
+    const targetY = y(get_settings('target_context_size'));
+
+    $chart.html(`
+        <svg class="ct_calibration_svg" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+            <line class="ct_chart_target" x1="0" y1="${targetY}" x2="${width}" y2="${targetY}"></line>
+            ${transitions}
+            <polyline class="ct_chart_predicted" points="${line('predicted')}"></polyline>
+            <polyline class="ct_chart_actual" points="${line('actual')}"></polyline>
+        </svg>
+        <div class="ct_breakdown_legend">
+            <span class="ct_legend_item"><span class="ct_legend_color ct_chart_predicted_color"></span>Predicted</span>
+            <span class="ct_legend_item"><span class="ct_legend_color ct_chart_actual_color"></span>Actual</span>
+            <span class="ct_legend_item"><span class="ct_legend_color ct_chart_target_color"></span>Target</span>
+            <span class="ct_legend_item">${min.toLocaleString()}–${max.toLocaleString()} tokens</span>
+        </div>
+    `);
+}
+
+// Download the log as CSV or JSON
+function export_calibration_log(format) {
+    const log = get_calibration_log();
+    if (log.length === 0) {
+        toastr.warning('Calibration log is empty', MODULE_NAME_FANCY);
+        return;
+    }
+
+    let content;
+    if (format === 'csv') {
+        const rows = log.map(entry => CALIBRATION_LOG_COLUMNS.map(column => entry[column] ?? '').join(','));
+        content = [CALIBRATION_LOG_COLUMNS.join(','), ...rows].join('\n');
+    } else {
+        content = JSON.stringify({
+            chat_id: getContext().chatId,
+            max_context: getMaxContextSize(),
+            target_context_size: get_settings('target_context_size'),
+            log,
+        }, null, 2);
+    }
+
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const $link = $('<a></a>').attr({ href: url, download: `calibration_log_${Date.now()}.${format}` });
+    $('body').append($link);
+    $link[0].click();
+    $link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// ==================== CALIBRATION PROFILES ====================
+// REQ-014: The correction factor, non-chat ratio and converged target depend on the model
+// and tokenizer, not the chat. Profiles keep them per API/model/tokenizer/template so a new
+// chat on the same setup starts calibrated instead of training from 1.0.
+
+// Identity of the current model setup
+function get_calibration_profile_identity() {
+    const ctx = getContext();
+    const api = ctx.mainApi || 'unknown';
+    const model = (api === 'openai' ? ctx.getChatCompletionModel?.() : ctx.onlineStatus) || 'unknown';
+    const tokenizer = String(ctx.powerUserSettings?.tokenizer ?? 'default');
+    const instruct = api === 'openai'
+        ? 'chat_completion'
+        : (ctx.powerUserSettings?.instruct?.enabled ? ctx.powerUserSettings.instruct.preset || 'instruct' : 'none');
+    return { key: [api, model, tokenizer, instruct].join('|'), api, model, tokenizer, instruct };
+}
+
+function get_calibration_profile() {
+    if (!get_settings('use_calibration_profiles')) return null;
+    const { key } = get_calibration_profile_identity();
+    return get_settings('calibration_profiles')?.[key] ?? null;
+}
+
+// Store the converged calibration for the current model setup
+function save_calibration_profile() {
+    if (!get_settings('use_calibration_profiles')) return;
+    const identity = get_calibration_profile_identity();
+    const profiles = { ...get_settings('calibration_profiles') };
+    const previous = profiles[identity.key];
+
+    profiles[identity.key] = {
+        api: identity.api,
+        model: identity.model,
+        tokenizer: identity.tokenizer,
+        instruct: identity.instruct,
+        correction_factor: CHAT_TOKEN_CORRECTION_FACTOR,
+        category_factors: CATEGORY_CORRECTION_FACTORS,
+        non_chat_ratio: LAST_KNOWN_NON_CHAT_RATIO,
+        target_size: get_settings('target_context_size'),
+        chats: previous?.chats ?? 1,
+        updated: Date.now(),
+    };
+    set_settings('calibration_profiles', profiles, 'global');
+    update_calibration_profiles_display();
+}
+
+// REQ-005: Layer for values calibration learns. A chat override is updated in place; a
+// character override is shadowed in this chat rather than rewritten on the card, which would
+// carry the learned value into every other chat of the character. Otherwise global.
+function get_calibration_layer(key) {
+    const source = get_settings_source(key);
+    return source === 'chat' || source === 'character' ? 'chat' : 'global';
+}
+
+// Apply the matching profile to a chat that has not learned anything yet
+function seed_from_calibration_profile() {
+    const profile = get_calibration_profile();
+    if (!profile || CHAT_TOKEN_CORRECTION_FACTOR !== 1.0) {
+        return false;
+    }
+
+    CHAT_TOKEN_CORRECTION_FACTOR = profile.correction_factor;
+    LAST_CORRECTION_FACTOR = profile.correction_factor;
+    CATEGORY_CORRECTION_FACTORS = { ...create_category_factors(), ...profile.category_factors };
+    LAST_KNOWN_NON_CHAT_RATIO = profile.non_chat_ratio;
+    if (get_settings('auto_calibrate_target') && profile.target_size && profile.target_size !== get_settings('target_context_size')) {
+        set_settings('target_context_size', profile.target_size, get_calibration_layer('target_context_size'));
+        $('#ct_target_size').val(profile.target_size);
+    }
+
+    const { key } = get_calibration_profile_identity();
+    const profiles = { ...get_settings('calibration_profiles') };
+    profiles[key] = { ...profile, chats: (profile.chats ?? 1) + 1 };
+    set_settings('calibration_profiles', profiles, 'global');
+
+    debug_trunc(`Seeded calibration from profile ${key}: factor ${profile.correction_factor.toFixed(3)}, target ${profile.target_size}`);
+    toastr.info(`Calibration seeded from saved profile for ${profile.model}`, MODULE_NAME_FANCY);
+    return true;
+}
+
+// Delete one profile (or all when key is null)
+function reset_calibration_profile(key = null) {
+    const profiles = key ? { ...get_settings('calibration_profiles') } : {};
+    if (key) delete profiles[key];
+    set_settings('calibration_profiles', profiles, 'global');
+    update_calibration_profiles_display();
+}
+
+// Profile manager list
+function update_calibration_profiles_display() {
+    const $list = $('#ct_profiles_list');
+    if (!$list.length) return;
+
+    const profiles = get_settings('calibration_profiles') || {};
+    const keys = Object.keys(profiles).sort((a, b) => profiles[b].updated - profiles[a].updated);
+    const currentKey = get_calibration_profile_identity().key;
+
+    $('#ct_profiles_count').text(keys.length ? `Calibration Profiles (${keys.length})` : 'Calibration Profiles');
+    if (keys.length === 0) {
+        $list.html('<div class="ct_memory_empty">Profiles are saved once calibration reaches STABLE</div>');
+        return;
+    }
+
+    let html = '';
+    for (const key of keys) {
+        const profile = profiles[key];
+        html += `
+            <div class="ct_memory_item${key === currentKey ? ' ct_profile_current' : ''}">
+                <div class="ct_memory_item_header">
+                    <span class="ct_memory_meta">${escapeHtml(profile.model)} • ${escapeHtml(profile.api)}${key === currentKey ? ' • active' : ''}</span>
+                    <i class="fa-solid fa-trash-can ct_profile_remove" data-key="${escapeHtml(key)}" title="Reset this profile"></i>
+                </div>
+                <div class="ct_history_state">
+                    <span>Factor ${profile.correction_factor.toFixed(3)}</span>
+                    <span>Non-chat ${Math.round(profile.non_chat_ratio * 100)}%</span>
+                    <span>Target ${profile.target_size.toLocaleString()}</span>
+                    <span>${profile.chats} chat${profile.chats === 1 ? '' : 's'}</span>
+                </div>
+                <div class="ct_history_state">
+                    <span>Tokenizer ${escapeHtml(profile.tokenizer)}</span>
+                    <span>Template ${escapeHtml(profile.instruct)}</span>
+                    <span>${new Date(profile.updated).toLocaleDateString()}</span>
+                </div>
+            </div>
+        `;
+    }
+    $list.html(html);
+}
+
 // ==================== OVERVIEW TAB FUNCTIONS ====================
 
 // Calculate World Rules tokens from raw prompt
@@ -2035,6 +4001,7 @@ function update_overview_tab() {
     }
 
     const maxContext = getMaxContextSize();
+    update_watermark_gauge(maxContext);
 
     // Declare actualSize at function scope with default
     let actualSize = 0;
@@ -2089,14 +4056,15 @@ function update_overview_tab() {
     // Update Breakdown Bar (now includes World Rules)
     // Only calculate breakdown if we have a valid actualSize and maxContext
     if (last_raw_prompt && actualSize > 0 && maxContext > 0) {
-        const segments = get_prompt_chat_segments_from_raw(last_raw_prompt);
-        const chatTokens = segments ? segments.reduce((sum, seg) => sum + seg.tokenCount, 0) : 0;
-        const worldRulesTokens = calculate_world_rules_tokens(last_raw_prompt);
-        const lorevaultTokens = calculate_lorevault_tokens(last_raw_prompt);
-        const summaryTokens = count_tokens(get_summary_injection());
-        const qdrantTokens = get_qdrant_injection_tokens();
         // System is everything else (total - chat - worldRules - lorevault - summaries - qdrant)
-        const systemTokens = Math.max(0, actualSize - chatTokens - worldRulesTokens - lorevaultTokens - summaryTokens - qdrantTokens);
+        const blocks = measure_prompt_blocks(last_raw_prompt);
+        const chatTokens = blocks.chat;
+        const worldRulesTokens = blocks.worldRules;
+        const lorevaultTokens = blocks.lorevault;
+        const summaryTokens = blocks.summaries;
+        const qdrantTokens = blocks.qdrant;
+        const systemTokens = blocks.system;
+        update_budget_display(blocks);
         
         // Use corrected values for breakdown so it matches the gauge
         const correctedChatTokens = Math.floor(chatTokens * CHAT_TOKEN_CORRECTION_FACTOR);
@@ -2148,9 +4116,13 @@ function update_overview_tab() {
         $('#ct_ov_difference').text(`${difference > 0 ? '+' : ''}${difference.toLocaleString()}`);
         $('#ct_ov_error').text(`${percentError.toFixed(1)}%`);
         $('#ct_ov_trunc_index').text(TRUNCATION_INDEX !== null ? TRUNCATION_INDEX : '--');
+        $('#ct_ov_prompt_format').text(get_active_prompt_format().name);
         // Display correction factor with color coding
         const factor = CHAT_TOKEN_CORRECTION_FACTOR;
         $('#ct_ov_correction').text(factor.toFixed(3));
+        $('#ct_ov_category_factors').text(format_category_factors());
+        const chat = getContext().chat || [];
+        $('#ct_ov_measured').text(`${count_measured_messages(chat)}/${chat.filter(m => !m.is_system).length}`);
         
         // Color code: green if reasonable (0.7-1.1), yellow if borderline, red if extreme
         $('#ct_ov_correction').removeClass('ct_text_green ct_text_yellow ct_text_red');
@@ -2235,6 +4207,10 @@ function update_overview_tab() {
     // Update Predictions and Summarization Stats
     update_prediction_display();
     update_summary_stats_display();
+    update_cache_display();
+    update_pinned_messages_display();
+    update_truncation_history_display();
+    update_calibration_chart();
 }
 
 // ==================== SUMMARIZATION STATISTICS ====================
@@ -2250,7 +4226,9 @@ function collect_summarization_stats() {
         summarized: 0,         // Truncated messages that have summaries
         pending: 0,            // Truncated messages without summaries (not in queue)
         inQueue: 0,            // Messages currently being processed
-        inContext: 0           // Messages still in active context
+        inContext: 0,          // Messages still in active context
+        hidden: 0,             // REQ-013: Messages hidden with /hide
+        hiddenTokens: 0
     };
     
     if (!chat || chat.length === 0) {
@@ -2259,13 +4237,17 @@ function collect_summarization_stats() {
     
     // FIX: Handle null/undefined TRUNCATION_INDEX properly
     const truncIndex = TRUNCATION_INDEX || 0;
-    const queueIndexes = new Set(summaryQueue.queue);
+    const queueIndexes = new Set([...summaryQueue.queue, ...summaryQueue.inFlight]);
 
     for (let i = 0; i < chat.length; i++) {
         const message = chat[i];
 
         // Skip system messages
         if (message.is_system) {
+            if (is_message_hidden(message)) {
+                stats.hidden++;
+                stats.hiddenTokens += count_tokens(message.mes);
+            }
             continue;
         }
 
@@ -2321,7 +4303,8 @@ function estimate_generations_to_trim() {
     let totalTokens = 0;
     let messageCount = 0;
     
-    for (let i = Math.max(0, chat.length - lookbackCount); i < chat.length; i++) {
+    // REQ-013: Sample the last visible messages (hidden ones don't grow the prompt)
+    for (let i = chat.length - 1; i >= 0 && messageCount < lookbackCount; i--) {
         const message = chat[i];
         if (!message.is_system && message.mes) {
             totalTokens += count_tokens(message.mes);
@@ -2450,9 +4433,27 @@ function update_summary_stats_display() {
     
     // Update Overview tab Summaries card (Version 2E design)
     $('#ct_ov_excluded_count').text(`${excludedCount} messages`);
+    $('#ct_breakdown_hidden_tokens').text(`${stats.hidden} msgs • ${stats.hiddenTokens.toLocaleString()} tokens`);
     $('#ct_ov_summarized_count').text(summarizedCount);
     $('#ct_ov_pending_count').text(pendingCount);
     
+    // REQ-020: Roll-up summaries standing in for older spans
+    const chapterCount = get_rollups('chapter').filter(is_rollup_valid).length;
+    const arcCount = get_rollups('arc').filter(is_rollup_valid).length;
+    $('#ct_ov_rollup_count').text(`${chapterCount} ch • ${arcCount} arc${arcCount === 1 ? '' : 's'}`);
+    
+    // REQ-023: Rules that fired on the last summary of each message
+    const validation = collect_validation_stats(getContext().chat);
+    const failedCount = validation.rejected + validation.retried;
+    const firedRules = [...validation.rules.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([rule, count]) => `${rule}: ${count}`)
+        .join('\n');
+    $('#ct_ov_validation_count')
+        .text(failedCount + validation.warned > 0 ? `${failedCount} failed • ${validation.warned} warned` : '--')
+        .toggleClass('ct_text_red', failedCount > 0)
+        .attr('title', firedRules || 'No rule fired');
+    
     // V22: Update dropped count (messages with summaries that exceeded token cap)
     $('#ct_ov_dropped_count').text(DROPPED_SUMMARY_COUNT);
     if (DROPPED_SUMMARY_COUNT > 0) {
@@ -2578,9 +4579,7 @@ function update_auto_limit_display() {
         return;
     }
     
-    const maxContext = getMaxContextSize();
-    const targetUtilization = get_settings('target_utilization') || 0.80;
-    const autoLimit = Math.floor(maxContext * targetUtilization * 0.20);
+    const autoLimit = get_max_summary_injection_tokens();
     $display.text(`~${autoLimit.toLocaleString()} tokens`);
 }
 
@@ -2952,18 +4951,500 @@ function add_popout_button() {
         // Fallback: append to header
         $header.append($button);
     }
-    
-    debug_trunc('Popout button added to header (minimal insertion)');
-    
-    // Intercept drawer header clicks when popout is visible
-    // This allows clicking the dropdown header to close the popout and return to inline mode
-    $header.on('click.ctPopout', function(event) {
-        if (POPOUT_VISIBLE) {
-            event.stopImmediatePropagation();
-            event.preventDefault();
-            closePopout();
+    
+    debug_trunc('Popout button added to header (minimal insertion)');
+    
+    // Intercept drawer header clicks when popout is visible
+    // This allows clicking the dropdown header to close the popout and return to inline mode
+    $header.on('click.ctPopout', function(event) {
+        if (POPOUT_VISIBLE) {
+            event.stopImmediatePropagation();
+            event.preventDefault();
+            closePopout();
+        }
+    });
+}
+
+// ==================== HIDDEN MESSAGES ====================
+// REQ-013: /hide marks messages is_system, and SillyTavern already leaves them out of the
+// prompt. Unlike genuine system messages (which carry an extra.type), they are user content,
+// so they may optionally still be summarized and vectorized.
+
+function is_message_hidden(message) {
+    return !!message?.is_system && !message.extra?.type;
+}
+
+function can_summarize_message(message) {
+    if (!message?.is_system) return true;
+    return is_message_hidden(message) && !!get_settings('summarize_hidden_messages');
+}
+
+function can_vectorize_message(message) {
+    if (!message?.is_system) return true;
+    return is_message_hidden(message) && !!get_settings('vectorize_hidden_messages');
+}
+
+function count_visible_messages(chat) {
+    return chat.reduce((count, message) => count + (message.is_system ? 0 : 1), 0);
+}
+
+// Highest index that still keeps keepCount visible messages at or after it
+function get_keep_boundary_index(chat, keepCount) {
+    if (keepCount <= 0) return chat.length;
+    let kept = 0;
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (!chat[i].is_system && ++kept >= keepCount) return i;
+    }
+    return 0;
+}
+
+// ==================== PINNED MESSAGES ====================
+// REQ-003: Pinning sets the `remember` flag. Pinned messages are never marked lagging, so
+// they stay in the prompt below the truncation index and their tokens count against the budget.
+
+const PIN_BUTTON_CLASS = 'ct_pin_button';
+
+function is_message_pinned(message) {
+    return !!get_data(message, 'remember');
+}
+
+// Toggle the pin on a chat message
+function toggle_message_pin(index) {
+    const chat = getContext().chat;
+    const message = chat?.[index];
+    if (!message) return;
+
+    const pinned = !is_message_pinned(message);
+    set_data(message, 'remember', pinned);
+    saveChatDebounced();
+    debug_trunc(`Message ${index} ${pinned ? 'pinned' : 'unpinned'}`);
+
+    // Flags update immediately; the budget is re-planned on the next recalculation
+    refresh_memory();
+    update_message_buttons();
+    update_pinned_messages_display();
+}
+
+// Add the pin and chapter marker buttons to the message template and handle clicks
+function initialize_message_buttons() {
+    const html = `
+        <div title="Pin (never truncate)" class="mes_button ${PIN_BUTTON_CLASS} fa-solid fa-thumbtack" tabindex="0"></div>
+        <div title="Mark chapter start" class="mes_button ${CHAPTER_BUTTON_CLASS} fa-solid fa-bookmark" tabindex="0"></div>`;
+    $('#message_template .mes_buttons .extraMesButtons').prepend(html);
+
+    $('div#chat').on('click', `.${PIN_BUTTON_CLASS}`, function () {
+        const index = Number($(this).closest('.mes').attr('mesid'));
+        toggle_message_pin(index);
+    });
+    $('div#chat').on('click', `.${CHAPTER_BUTTON_CLASS}`, function () {
+        const index = Number($(this).closest('.mes').attr('mesid'));
+        toggle_chapter_marker(index);
+    });
+}
+
+// Sync pin and chapter button state with message data
+function update_message_buttons() {
+    const chat = getContext().chat;
+    $('#chat .mes').each(function () {
+        const index = Number($(this).attr('mesid'));
+        const pinned = is_message_pinned(chat?.[index]);
+        const chapter = !!get_data(chat?.[index], 'chapter');
+        $(this).find(`.${PIN_BUTTON_CLASS}`)
+            .toggleClass('ct_pinned', pinned)
+            .attr('title', pinned ? 'Unpin (allow truncation)' : 'Pin (never truncate)');
+        $(this).find(`.${CHAPTER_BUTTON_CLASS}`)
+            .toggleClass('ct_chapter_marked', chapter)
+            .attr('title', chapter ? 'Remove chapter marker' : 'Mark chapter start');
+    });
+    update_summary_badges();
+}
+
+// Update the pinned messages panel
+function update_pinned_messages_display() {
+    const chat = getContext().chat || [];
+    const $count = $('#ct_pinned_count');
+    const $list = $('#ct_pinned_list');
+
+    const pins = [];
+    for (let i = 0; i < chat.length; i++) {
+        if (is_message_pinned(chat[i])) pins.push(i);
+    }
+
+    if (pins.length === 0) {
+        $count.text('Pinned Messages');
+        $list.html('<div class="ct_memory_empty">Use the pin button on a message to keep it in context</div>');
+        return;
+    }
+
+    let totalTokens = 0;
+    let html = '';
+    for (const index of pins) {
+        const message = chat[index];
+        const tokens = count_tokens(message.mes);
+        totalTokens += tokens;
+
+        const text = message.mes.length > 200
+            ? message.mes.substring(0, 200) + '...'
+            : message.mes;
+        const truncated = TRUNCATION_INDEX && index < TRUNCATION_INDEX;
+
+        html += `
+            <div class="ct_memory_item">
+                <div class="ct_memory_item_header">
+                    <span class="ct_memory_meta">#${index} • ${escapeHtml(message.name || '')} • ${tokens} tokens${truncated ? ' • held past truncation' : ''}</span>
+                    <i class="fa-solid fa-xmark ct_pin_remove" data-index="${index}" title="Unpin"></i>
+                </div>
+                <div class="ct_memory_text">${escapeHtml(text)}</div>
+            </div>
+        `;
+    }
+
+    $count.text(`Pinned Messages (${pins.length} • ${totalTokens.toLocaleString()} tokens)`);
+    $list.html(html);
+}
+
+// ==================== INLINE SUMMARY EDITOR ====================
+// REQ-022: A badge under each message shows its summary state; clicking it opens an editor to
+// hand-edit, lock or regenerate that one summary. Locked summaries are never re-queued or
+// marked stale by edits.
+
+const SUMMARY_BADGE_CLASS = 'ct_summary_badge';
+const SUMMARY_EDITOR_CLASS = 'ct_summary_editor';
+
+const SUMMARY_STATES = {
+    none: { icon: 'fa-regular fa-circle', label: 'No summary' },
+    pending: { icon: 'fa-solid fa-hourglass-half', label: 'Summary pending' },
+    review: { icon: 'fa-solid fa-triangle-exclamation', label: 'Needs manual review' },
+    error: { icon: 'fa-solid fa-circle-xmark', label: 'Summary failed' },
+    done: { icon: 'fa-solid fa-circle-check', label: 'Summarized' },
+};
+
+function is_summary_locked(message) {
+    return !!get_data(message, 'summary_locked');
+}
+
+function get_summary_state(message, index) {
+    if (get_memory(message)) return 'done';
+    if (get_data(message, 'error')) return 'error';
+    if (get_data(message, 'needs_manual_review')) return 'review';
+    if (is_summary_locked(message)) return 'none';
+    if (summaryQueue.inFlight.has(index) || summaryQueue.queue.includes(index) || get_data(message, 'needs_summary')) return 'pending';
+    return 'none';
+}
+
+// Sync every rendered message's badge with its summary data
+function update_summary_badges() {
+    const chat = getContext().chat;
+    const show = !!get_settings('show_summary_badges');
+    $('#chat .mes').each(function () {
+        const index = Number($(this).attr('mesid'));
+        const message = chat?.[index];
+        let $badge = $(this).find(`.${SUMMARY_BADGE_CLASS}`);
+
+        if (!show || !message || !can_summarize_message(message)) {
+            $badge.remove();
+            $(this).find(`.${SUMMARY_EDITOR_CLASS}`).remove();
+            return;
+        }
+        if ($badge.length === 0) {
+            $badge = $(`<div class="${SUMMARY_BADGE_CLASS}" tabindex="0"><i></i><span></span></div>`);
+            $(this).find('.mes_text').after($badge);
+        }
+
+        const state = get_summary_state(message, index);
+        const locked = is_summary_locked(message);
+        const info = SUMMARY_STATES[state];
+        const fired = get_data(message, 'validation');  // REQ-023
+        let title = state === 'error' ? `${info.label}: ${get_data(message, 'error')}` : info.label;
+        if (fired) title += ` - ${fired.severity}: ${fired.reason}`;
+        $badge.attr('class', `${SUMMARY_BADGE_CLASS} ct_summary_${state}`)
+            .toggleClass('ct_summary_locked', locked)
+            .attr('title', title + (locked ? ' (locked)' : ''));
+        $badge.find('i').attr('class', locked ? 'fa-solid fa-lock' : info.icon);
+        $badge.find('span').text(state === 'done' ? get_memory(message) : info.label);
+    });
+}
+
+// Open (or close) the editor under a message
+function toggle_summary_editor(index) {
+    const $mes = $(`#chat .mes[mesid="${index}"]`);
+    const $existing = $mes.find(`.${SUMMARY_EDITOR_CLASS}`);
+    if ($existing.length) {
+        $existing.remove();
+        return;
+    }
+
+    const message = getContext().chat?.[index];
+    if (!message) return;
+    const locked = is_summary_locked(message);
+    const $editor = $(`
+        <div class="${SUMMARY_EDITOR_CLASS}" data-index="${index}">
+            <textarea class="text_pole ct_summary_editor_text" rows="3" placeholder="No summary yet"></textarea>
+            <div class="ct_summary_editor_buttons">
+                <button class="menu_button ct_summary_save" title="Save this summary"><i class="fa-solid fa-floppy-disk"></i> Save</button>
+                <button class="menu_button ct_summary_lock" title="${locked ? 'Allow re-summarization' : 'Keep this summary as is'}"><i class="fa-solid ${locked ? 'fa-lock-open' : 'fa-lock'}"></i> ${locked ? 'Unlock' : 'Lock'}</button>
+                <button class="menu_button ct_summary_regenerate" title="Summarize this message again"${locked ? ' disabled' : ''}><i class="fa-solid fa-rotate"></i> Regenerate</button>
+                <button class="menu_button ct_summary_clear" title="Remove this summary"${locked ? ' disabled' : ''}><i class="fa-solid fa-eraser"></i> Clear</button>
+            </div>
+        </div>`);
+    $editor.find('textarea').val(get_memory(message));
+    $mes.find(`.${SUMMARY_BADGE_CLASS}`).after($editor);
+}
+
+// Common tail of every editor action: persist, re-inject, redraw
+function after_summary_edit(index) {
+    saveChatDebounced();
+    refresh_memory();
+    update_summary_badges();
+    update_summary_stats_display();
+    $(`#chat .mes[mesid="${index}"] .${SUMMARY_EDITOR_CLASS}`).remove();
+}
+
+function save_message_summary(index, text) {
+    const message = getContext().chat?.[index];
+    if (!message) return;
+
+    const summary = text.replace(/\s+/g, ' ').trim();
+    if (!summary) {
+        clear_message_summary(index);
+        return;
+    }
+    summaryQueue.store_summary(message, summary);
+    debug_trunc(`Summary for message ${index} edited by hand`);
+    after_summary_edit(index);
+}
+
+function clear_message_summary(index) {
+    const message = getContext().chat?.[index];
+    if (!message || is_summary_locked(message)) return;
+
+    set_data(message, 'memory', null);
+    set_data(message, 'error', null);
+    set_data(message, 'needs_manual_review', false);
+    // Still needs one if the message is out of the prompt
+    set_data(message, 'needs_summary', !!get_data(message, 'lagging') || is_message_hidden(message));
+    debug_trunc(`Summary for message ${index} cleared`);
+    after_summary_edit(index);
+}
+
+function toggle_summary_lock(index) {
+    const message = getContext().chat?.[index];
+    if (!message) return;
+
+    const locked = !is_summary_locked(message);
+    set_data(message, 'summary_locked', locked);
+    if (locked) {
+        set_data(message, 'needs_summary', false);
+    }
+    debug_trunc(`Summary for message ${index} ${locked ? 'locked' : 'unlocked'}`);
+    after_summary_edit(index);
+}
+
+async function regenerate_message_summary(index) {
+    const message = getContext().chat?.[index];
+    if (!message || is_summary_locked(message)) return;
+    if (summaryQueue.active) {
+        toastr.warning('Summarization is already running', MODULE_NAME_FANCY);
+        return;
+    }
+
+    set_data(message, 'error', null);
+    set_data(message, 'needs_manual_review', false);
+    $(`#chat .mes[mesid="${index}"] .${SUMMARY_EDITOR_CLASS}`).remove();
+    await summaryQueue.summarize([index]);
+    saveChatDebounced();
+    update_summary_badges();
+}
+
+function initialize_summary_editor() {
+    $('div#chat').on('click', `.${SUMMARY_BADGE_CLASS}`, function () {
+        toggle_summary_editor(Number($(this).closest('.mes').attr('mesid')));
+    });
+    $('div#chat').on('click', '.ct_summary_save', function () {
+        const $editor = $(this).closest(`.${SUMMARY_EDITOR_CLASS}`);
+        save_message_summary(Number($editor.data('index')), $editor.find('textarea').val());
+    });
+    $('div#chat').on('click', '.ct_summary_lock', function () {
+        toggle_summary_lock(Number($(this).closest(`.${SUMMARY_EDITOR_CLASS}`).data('index')));
+    });
+    $('div#chat').on('click', '.ct_summary_regenerate', function () {
+        regenerate_message_summary(Number($(this).closest(`.${SUMMARY_EDITOR_CLASS}`).data('index')));
+    });
+    $('div#chat').on('click', '.ct_summary_clear', function () {
+        clear_message_summary(Number($(this).closest(`.${SUMMARY_EDITOR_CLASS}`).data('index')));
+    });
+}
+
+// ==================== PARTIAL MESSAGE TRIMMING ====================
+// REQ-008: Instead of keeping or dropping an oversized message at the cut whole, send its
+// summary plus its last N sentences. calculate_truncation_index sizes the cut with this
+// condensed form, so the rest of the kept window stays intact.
+
+// Split text into sentences, keeping trailing quotes/markup with their sentence
+function split_sentences(text) {
+    return (text.match(/[^.!?…]+(?:[.!?…]+["'”’)\]*_]*|$)\s*/g) || [text]).filter(s => s.trim());
+}
+
+function is_partial_trim_candidate(message) {
+    return !!get_settings('partial_trim_enabled')
+        && !!message
+        && !message.is_system
+        && count_tokens(message.mes) >= get_settings('partial_trim_min_tokens');
+}
+
+// Condensed body: summary (if available) followed by the message's closing sentences
+function build_condensed_message(message) {
+    const sentences = split_sentences(message.mes.trim());
+    const tail = sentences.slice(-get_settings('partial_trim_tail_sentences')).join('').trim();
+    const summary = get_memory(message);
+    return summary ? `${summary}\n[…]\n${tail}` : `[…] ${tail}`;
+}
+
+// Message at the truncation index that is sent condensed (null if none)
+function get_partial_trim_message() {
+    if (!TRUNCATION_INDEX) return null;
+    const message = getContext().chat?.[TRUNCATION_INDEX];
+    return is_partial_trim_candidate(message) ? message : null;
+}
+
+// ==================== GROUP SPEAKER MINIMUMS ====================
+// REQ-007: In group chats, keep the last K messages of every active member so quieter
+// characters keep their voice even when their turns are older than the truncation index.
+
+// Names of the enabled members of the active group (empty outside group chats)
+function get_active_group_member_names() {
+    const ctx = getContext();
+    if (!ctx.groupId) return [];
+
+    const group = ctx.groups?.find(g => g.id === ctx.groupId);
+    if (!group) return [];
+
+    const disabled = new Set(group.disabled_members || []);
+    return (group.members || [])
+        .filter(avatar => !disabled.has(avatar))
+        .map(avatar => ctx.characters?.find(c => c.avatar === avatar)?.name)
+        .filter(Boolean);
+}
+
+// Messages below startIndex that stay in context: pins plus per-speaker minimums
+function get_held_message_indexes(chat, startIndex) {
+    const held = new Set();
+    for (let i = 0; i < startIndex && i < chat.length; i++) {
+        if (is_message_pinned(chat[i])) held.add(i);
+    }
+
+    const minPerSpeaker = get_settings('group_min_messages_per_speaker');
+    if (!minPerSpeaker || startIndex <= 0) return held;
+
+    const members = get_active_group_member_names();
+    if (members.length === 0) return held;
+
+    // Count each member's turns already in the kept window
+    const counts = new Map(members.map(name => [name, 0]));
+    for (let i = startIndex; i < chat.length; i++) {
+        const message = chat[i];
+        if (message.is_user || message.is_system || !counts.has(message.name)) continue;
+        counts.set(message.name, counts.get(message.name) + 1);
+    }
+
+    // Walk back from the cut and hold the newest turns of members below the minimum
+    for (let i = startIndex - 1; i >= 0; i--) {
+        const message = chat[i];
+        if (message.is_user || message.is_system || !counts.has(message.name)) continue;
+        const count = counts.get(message.name);
+        if (count >= minPerSpeaker) continue;
+        held.add(i);
+        counts.set(message.name, count + 1);
+    }
+
+    return held;
+}
+
+// ==================== SCENE BOUNDARIES ====================
+// REQ-004: Optional snapping of the truncation point to the start of a scene, so the kept
+// context doesn't open with a dangling reply. A boundary at index i means a scene starts at i.
+
+const CHAPTER_BUTTON_CLASS = 'ct_chapter_button';
+
+let SCENE_PATTERN_CACHE = {};  // Pattern text -> compiled RegExp list
+
+// Toggle a user-placed chapter marker on a chat message
+function toggle_chapter_marker(index) {
+    const message = getContext().chat?.[index];
+    if (!message) return;
+
+    const marked = !get_data(message, 'chapter');
+    set_data(message, 'chapter', marked);
+    saveChatDebounced();
+    debug_trunc(`Chapter marker ${marked ? 'set on' : 'removed from'} message ${index}`);
+    update_message_buttons();
+}
+
+// Compile one regex per non-empty line; invalid lines are skipped
+function compile_scene_patterns(text) {
+    if (!text) return [];
+    if (SCENE_PATTERN_CACHE[text]) return SCENE_PATTERN_CACHE[text];
+
+    const patterns = [];
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            patterns.push(new RegExp(line.trim(), 'im'));
+        } catch (e) {
+            debug_trunc(`Invalid scene pattern skipped: ${line} (${e.message})`);
+        }
+    }
+    SCENE_PATTERN_CACHE[text] = patterns;
+    return patterns;
+}
+
+// Why a message starts a new scene (null if it doesn't)
+function get_scene_boundary_reason(message) {
+    if (!message || message.is_system) return null;
+    if (get_data(message, 'chapter')) return 'chapter marker';
+
+    const text = message.mes || '';
+    if (compile_scene_patterns(get_settings('scene_separator_patterns')).some(r => r.test(text))) return 'separator';
+    if (compile_scene_patterns(get_settings('scene_time_skip_patterns')).some(r => r.test(text))) return 'time skip';
+
+    const memory = get_memory(message);
+    if (memory && get_settings('scene_use_location_changes')
+        && compile_scene_patterns(get_settings('scene_location_patterns')).some(r => r.test(memory))) {
+        return 'location change';
+    }
+    return null;
+}
+
+// Move a truncation index to the nearest scene boundary within the snap window. minIndex is the
+// current truncation index: the snap never moves the cut back before it (re-including messages)
+function snap_to_scene_boundary({ index, minIndex, maxIndex, targetSize, chat, estimateTotal }) {
+    const snapWindow = get_settings('scene_snap_window');
+    const floor = Math.min(minIndex ?? 0, index);  // An index already below it may stay where it is
+    let best = null;
+
+    for (let distance = 0; distance <= snapWindow; distance++) {
+        // Earlier boundary keeps more context, but only if it still fits the target
+        const earlier = index - distance;
+        if (earlier > 0 && earlier >= floor && get_scene_boundary_reason(chat[earlier]) && estimateTotal(earlier) <= targetSize) {
+            best = { index: earlier, reason: get_scene_boundary_reason(chat[earlier]) };
+            break;
         }
-    });
+        // Later boundary always fits, but must still keep min_messages_to_keep
+        const later = index + distance;
+        if (distance > 0 && later <= maxIndex && get_scene_boundary_reason(chat[later])) {
+            best = { index: later, reason: get_scene_boundary_reason(chat[later]) };
+            break;
+        }
+    }
+
+    if (!best) {
+        debug_trunc(`Scene snap: no boundary within ${snapWindow} messages of ${index}, keeping index`);
+        return index;
+    }
+    if (best.index !== index) {
+        debug_trunc(`Scene snap: ${index}→${best.index} (${best.reason})`);
+    }
+    return best.index;
 }
 
 // ==================== MEMORY DISPLAY ====================
@@ -3025,65 +5506,231 @@ function escapeRegex(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-// Validate summary output against prompt specifications (V33)
-function validate_summary(summary, ctx, maxWords) {
-    if (!summary || typeof summary !== 'string') {
-        return { valid: false, reason: 'Empty or invalid summary' };
+// ==================== SUMMARY VALIDATION RULES ====================
+// REQ-023: validate_summary runs the user's rule set (settings: summary_validation_rules) through
+// the pure rule engine in validation.js.
+
+const VALIDATION_RULE_TYPES = {
+    chars: 'Length (chars)',
+    words: 'Length (words)',
+    speaker: 'Speaker label',
+    sentences: 'Sentences',
+    require: 'Require regex',
+    forbid: 'Forbid regex',
+};
+
+// REQ-019: Speaker of a message - in group chats the member who wrote it, not the chat's character
+function get_message_speaker_name(message, ctx) {
+    return message?.is_user ? (ctx.name1 || 'User') : (message?.name || ctx.name2 || 'Character');
+}
+
+// message: the summarized message, so the speaker rule accepts its own speaker's label
+function validate_summary(summary, ctx, maxWords, message = null) {
+    const rules = get_settings('summary_validation_rules') || [];
+    for (const rule of rules) {
+        if (rule?.enabled && (rule.type === 'require' || rule.type === 'forbid') && rule.pattern && !compile_rule_regex(rule)) {
+            debug_trunc(`Skipping invalid validation regex /${rule.pattern}/`);
+        }
     }
-    
-    const trimmed = summary.trim();
-    
-    // Rule 1: Minimum length (too short = incomplete)
-    if (trimmed.length < 15) {
-        return { valid: false, reason: `Too short: ${trimmed.length} chars (min 15)` };
+    return evaluate_validation_rules(rules, summary, {
+        char_name: message && !message.is_user ? get_message_speaker_name(message, ctx) : (ctx.name2 || 'Character'),
+        user_name: ctx.name1 || 'User',
+        max_words: maxWords,
+    });
+}
+
+function requires_speaker_label() {
+    return (get_settings('summary_validation_rules') || [])
+        .some(rule => rule?.enabled && rule.type === 'speaker' && rule.policy === 'required');
+}
+
+// Record the rule that fired on the message (null clears it)
+function record_validation_result(message, validation) {
+    if (!validation) {
+        set_data(message, 'validation', null);
+        return;
     }
-    
-    // Rule 2: Must start with speaker label
-    const charName = ctx.name2 || 'Character';
-    const userName = ctx.name1 || 'User';
-    const speakerPattern = new RegExp(
-        `^(${escapeRegex(charName)}:|${escapeRegex(userName)}:|Narrator:)`,
-        'i'
-    );
-    if (!speakerPattern.test(trimmed)) {
-        return { valid: false, reason: 'Missing speaker label at start' };
-    }
-    
-    // Rule 3: Word count check
-    const wordCount = trimmed.split(/\s+/).length;
-    if (wordCount > maxWords) {
-        return { valid: false, reason: `Too many words: ${wordCount} > ${maxWords}` };
-    }
-    
-    // Rule 4: No forbidden patterns (thinking, reasoning)
-    const forbiddenPatterns = [
-        { pattern: /<think>/i, name: '<think> tag' },
-        { pattern: /<\/think>/i, name: '</think> tag' },
-        { pattern: /^Hmm,?/i, name: 'Hmm reasoning' },
-        { pattern: /^Let me\b/i, name: 'Let me...' },
-        { pattern: /^I need to\b/i, name: 'I need to...' },
-        { pattern: /^First,\b/i, name: 'First,...' },
-        { pattern: /^Looking at\b/i, name: 'Looking at...' },
-        { pattern: /^Analyzing\b/i, name: 'Analyzing...' },
-        { pattern: /^I think\b/i, name: 'I think...' },
-        { pattern: /^Now,\b/i, name: 'Now,...' },
-        { pattern: /\(\s*\d+\s*words?\s*\)/i, name: 'word count annotation' },
-    ];
-    
-    for (const { pattern, name } of forbiddenPatterns) {
-        if (pattern.test(trimmed)) {
-            return { valid: false, reason: `Contains forbidden pattern: ${name}` };
+    const fired = validation.valid ? validation.warnings[0] : validation;
+    set_data(message, 'validation', fired ? { rule: fired.rule, severity: fired.severity, reason: fired.reason } : null);
+}
+
+// Messages per fired rule, for the stats display
+function collect_validation_stats(chat) {
+    const stats = { rejected: 0, retried: 0, warned: 0, rules: new Map() };
+    for (const message of chat || []) {
+        const fired = get_data(message, 'validation');
+        if (!fired) continue;
+        if (fired.severity === 'reject') stats.rejected++;
+        else if (fired.severity === 'retry') stats.retried++;
+        else stats.warned++;
+        stats.rules.set(fired.rule, (stats.rules.get(fired.rule) || 0) + 1);
+    }
+    return stats;
+}
+
+// Rule list in the Summarization settings
+function render_validation_rules() {
+    const rules = get_settings('summary_validation_rules') || [];
+    const $list = $('#ct_validation_rules');
+    if (rules.length === 0) {
+        $list.html('<div class="ct_memory_empty">No rules - every non-empty summary is accepted</div>');
+        return;
+    }
+
+    const severityOptions = (selected) => VALIDATION_SEVERITIES
+        .map(severity => `<option value="${severity}"${severity === selected ? ' selected' : ''}>${severity}</option>`)
+        .join('');
+
+    let html = '';
+    rules.forEach((rule, i) => {
+        let fields = '';
+        switch (rule.type) {
+            case 'chars':
+            case 'words':
+                fields = `
+                    <input class="text_pole ct_rule_field" data-field="min" type="number" min="0" value="${rule.min ?? 0}" title="Minimum (0 = none)" />
+                    <input class="text_pole ct_rule_field" data-field="max" type="number" min="0" value="${rule.max ?? 0}" title="${rule.type === 'words' ? 'Maximum (0 = Max Words setting)' : 'Maximum (0 = none)'}" />`;
+                break;
+            case 'speaker':
+                fields = `
+                    <select class="ct_rule_field" data-field="policy">
+                        <option value="required"${rule.policy === 'required' ? ' selected' : ''}>required</option>
+                        <option value="forbidden"${rule.policy === 'forbidden' ? ' selected' : ''}>forbidden</option>
+                    </select>`;
+                break;
+            case 'sentences':
+                fields = `<input class="text_pole ct_rule_field" data-field="max" type="number" min="0" value="${rule.max ?? 1}" title="Maximum sentences (0 = no limit)" />`;
+                break;
+            default:
+                fields = `
+                    <input class="text_pole ct_rule_field" data-field="name" type="text" value="${escapeHtml(rule.name || '')}" placeholder="Name" />
+                    <input class="text_pole ct_rule_field ct_rule_pattern" data-field="pattern" type="text" value="${escapeHtml(rule.pattern || '')}" placeholder="Regex" />
+                    <input class="text_pole ct_rule_field ct_rule_flags" data-field="flags" type="text" value="${escapeHtml(rule.flags || '')}" placeholder="Flags" />`;
+        }
+
+        html += `
+            <div class="ct_validation_rule" data-rule="${i}">
+                <input class="ct_rule_field" data-field="enabled" type="checkbox"${rule.enabled ? ' checked' : ''} title="Enabled" />
+                <span class="ct_rule_type">${VALIDATION_RULE_TYPES[rule.type] || rule.type}</span>
+                ${fields}
+                <select class="ct_rule_field" data-field="severity" title="What happens when the rule fails">${severityOptions(rule.severity)}</select>
+                <i class="fa-solid fa-xmark ct_rule_remove" title="Remove rule"></i>
+            </div>`;
+    });
+    $list.html(html);
+}
+
+function save_validation_rules(rules) {
+    set_settings('summary_validation_rules', rules, SETTINGS_EDIT_LAYER);
+    refresh_bound_settings();
+}
+
+function initialize_validation_rules_ui() {
+    const $list = $('#ct_validation_rules');
+
+    $list.on('change', '.ct_rule_field', function () {
+        const rules = structuredClone(get_settings('summary_validation_rules') || []);
+        const rule = rules[Number($(this).closest('.ct_validation_rule').data('rule'))];
+        if (!rule) return;
+
+        const field = $(this).data('field');
+        if (field === 'enabled') {
+            rule.enabled = $(this).prop('checked');
+        } else if (field === 'min' || field === 'max') {
+            rule[field] = Math.max(0, Number($(this).val()) || 0);
+        } else {
+            rule[field] = $(this).val();
+        }
+        if (field === 'pattern' || field === 'flags') {
+            try {
+                new RegExp(rule.pattern, rule.flags || '');
+            } catch (e) {
+                toastr.warning(`Invalid regex, the rule will be skipped: ${e.message}`, MODULE_NAME_FANCY);
+            }
+        }
+
+        debug(`Validation rule ${get_validation_rule_label(rule)} changed [${field}]`);
+        save_validation_rules(rules);
+    });
+
+    $list.on('click', '.ct_rule_remove', function () {
+        const rules = structuredClone(get_settings('summary_validation_rules') || []);
+        rules.splice(Number($(this).closest('.ct_validation_rule').data('rule')), 1);
+        save_validation_rules(rules);
+    });
+
+    $('#ct_validation_rule_add').on('click', () => {
+        const rules = structuredClone(get_settings('summary_validation_rules') || []);
+        rules.push(create_validation_rule($('#ct_validation_rule_type').val()));
+        save_validation_rules(rules);
+    });
+
+    $('#ct_validation_rules_reset').on('click', () => {
+        save_validation_rules(structuredClone(default_settings.summary_validation_rules));
+        toastr.info('Validation rules reset to defaults', MODULE_NAME_FANCY);
+    });
+
+    register_bound_setting('#ct_validation_rules', 'summary_validation_rules', render_validation_rules);
+}
+
+// ==================== BATCH SUMMARIZATION ====================
+// REQ-019: One request for N consecutive messages. Items are numbered in the prompt and the model
+// answers with a JSON array or numbered lines; every item is validated on its own and only the
+// failed ones go back through the single-message path.
+
+const SUMMARY_BATCH_FORMATS = {
+    json: 'Output ONLY a JSON array with one object per message, in order: [{"id": 1, "summary": "..."}, {"id": 2, "summary": "..."}]',
+    numbered: 'Output ONLY one line per message, in order, numbered like the messages: "1. <summary>"',
+};
+
+function build_batch_summary_prompt(messages, contextBlock, ctx) {
+    const items = messages.map((message, i) => {
+        return `[${i + 1}] ${get_message_speaker_name(message, ctx)}: ${message.mes}`;
+    });
+    const format = SUMMARY_BATCH_FORMATS[get_settings('summary_batch_format')] ?? SUMMARY_BATCH_FORMATS.json;
+
+    // Messages go in last so placeholders inside message text stay untouched
+    return get_settings('summary_batch_prompt')
+        .replace(/\{\{format\}\}/g, format)
+        .replace(/\{\{count\}\}/g, messages.length)
+        .replace(/\{\{words\}\}/g, get_settings('summary_max_words') || 50)
+        .replace(/\{\{user\}\}/g, ctx.name1 || 'User')
+        .replace(/\{\{char\}\}/g, ctx.name2 || 'Character')
+        .replace(/\{\{context_block\}\}/g, () => contextBlock)
+        .replace(/\{\{messages\}\}/g, () => items.join('\n\n'));
+}
+
+// Item number (1-based) -> raw summary text. JSON array first, numbered lines as fallback
+function parse_batch_summaries(text, count) {
+    const items = new Map();
+    if (!text) return items;
+    const cleaned = String(text).replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+
+    const start = cleaned.indexOf('[');
+    const end = cleaned.lastIndexOf(']');
+    if (start !== -1 && end > start) {
+        try {
+            const parsed = JSON.parse(cleaned.slice(start, end + 1));
+            if (Array.isArray(parsed)) {
+                parsed.forEach((entry, i) => {
+                    const id = Number(entry?.id ?? i + 1);
+                    const summary = typeof entry === 'string' ? entry : entry?.summary;
+                    if (id >= 1 && id <= count && typeof summary === 'string') items.set(id, summary);
+                });
+            }
+        } catch (e) {
+            debug_trunc(`Batch summary: response is not valid JSON (${e.message}), trying numbered lines`);
         }
+        if (items.size > 0) return items;
     }
-    
-    // Rule 5: Should be roughly one sentence (no multiple sentences)
-    // Check for sentence-ending punctuation followed by space and uppercase
-    const multipleSentencePattern = /[.!?]\s+[A-Z]/;
-    if (multipleSentencePattern.test(trimmed)) {
-        return { valid: false, reason: 'Multiple sentences detected' };
+
+    for (const line of cleaned.split('\n')) {
+        const match = line.match(/^\s*\[?(\d+)[\].):]\s*(.+)$/);
+        if (!match) continue;
+        const id = Number(match[1]);
+        if (id >= 1 && id <= count && !items.has(id)) items.set(id, match[2].trim());
     }
-    
-    return { valid: true, reason: null };
+    return items;
 }
 
 // Summarization functionality
@@ -3092,8 +5739,13 @@ class SummaryQueue {
         this.queue = [];
         this.active = false;
         this.stopped = false;
-        this.abortController = null;  // For hard-stopping current generation
-        this._currentlyGenerating = false;  // Lock to prevent parallel requests
+        this.controllers = new Set();  // REQ-021: One AbortController per in-flight request
+        this.inFlight = new Set();     // REQ-021: Indexes currently held by a worker
+        this.uncommitted = new Set();  // REQ-021: Indexes taken by a worker whose summary isn't stored yet
+        this.pending = new Map();      // REQ-021: Finished work waiting for its turn to commit
+        this.nextSeq = 0;
+        this.commitSeq = 0;
+        this.singleOnly = new Set();  // REQ-019: Indexes that failed in a batch - retried one by one
     }
     
     async summarize(indexes) {
@@ -3101,6 +5753,11 @@ class SummaryQueue {
             indexes = [indexes];
         }
         
+        // REQ-022: Locked summaries are kept as they are
+        const chat = getContext().chat;
+        indexes = indexes.filter(index => !is_summary_locked(chat[index]));
+        if (indexes.length === 0) return;
+        
         // Reset stopped flag when starting new summarization
         this.stopped = false;
         
@@ -3133,11 +5790,11 @@ class SummaryQueue {
         // Clear queued indexes so no further messages are processed
         this.queue = [];
         
-        // Abort current generation if in progress
-        if (this.abortController) {
-            this.abortController.abort();
-            this.abortController = null;
-            debug('Aborted current summarization generation');
+        // Abort every generation in progress
+        if (this.controllers.size > 0) {
+            this.controllers.forEach(controller => controller.abort());
+            this.controllers.clear();
+            debug('Aborted current summarization generations');
         }
         
         debug('Summarization queue stopped by user');
@@ -3173,22 +5830,77 @@ class SummaryQueue {
         }
     }
     
+    // REQ-021: Parallel workers only for the summary endpoint - generateRaw goes through the
+    // main API and runs one request at a time
+    get_worker_count() {
+        if (!get_settings('summary_endpoint_url')) return 1;
+        return Math.max(1, Math.min(8, Number(get_settings('summary_concurrency')) || 1));
+    }
+    
     async process() {
         this.active = true;
         // Ensure any previous skip flag is cleared at the start of processing
         this._skipPendingDelay = false;
+        this.pending.clear();
+        this.nextSeq = 0;
+        this.commitSeq = 0;
         
         // Update stats at start of processing
         update_summary_stats_display();
         update_overview_tab();
         
+        const workers = this.get_worker_count();
+        debug_trunc(`Summarizing with ${workers} worker(s)`);
+        await Promise.all(Array.from({ length: workers }, () => this.run_worker()));
+        
+        this.active = false;
+        this.stopped = false;
+        this.singleOnly.clear();
+        this.inFlight.clear();
+        this.uncommitted.clear();
+        this.pending.clear();
+        
+        // Final update after processing completes
+        update_summary_stats_display();
+        update_overview_tab();
+        update_summary_badges();
+        
+        // Transform button back to normal state (handles both completion and stop)
+        this.updateButtonState('inactive');
+    }
+    
+    // REQ-021: One worker - takes the next unit of work until the queue is empty or stopped
+    async run_worker() {
         while (this.queue.length > 0 && !this.stopped) {
-            const index = this.queue.shift();
-            await this.summarize_message(index);
+            const batch = this.take_batch();
+            const seq = this.nextSeq++;
+            batch.forEach(index => {
+                this.inFlight.add(index);
+                this.uncommitted.add(index);
+            });
+            let commit = null;
+            try {
+                if (batch.length > 1) {
+                    // REQ-019: Failed items go back to the front for single-message retries
+                    const result = await this.summarize_batch(batch);
+                    commit = result.commit;
+                    if (!this.stopped) {
+                        result.failed.forEach(index => this.singleOnly.add(index));
+                        this.queue.unshift(...result.failed);
+                    }
+                } else {
+                    commit = await this.summarize_message(batch[0]);
+                    this.singleOnly.delete(batch[0]);
+                }
+            } finally {
+                batch.forEach(index => this.inFlight.delete(index));
+                this.commit_in_order(seq, batch, commit);
+            }
             
-            // Update stats display after each message
+            // Update stats display after each unit of work
             update_summary_stats_display();
             update_overview_tab();
+            update_summary_badges();
 
             // Rate limiting between summary requests (cancellable by stop)
             const delayMs = Number(get_settings('summary_request_delay')) || 0;
@@ -3214,16 +5926,49 @@ class SummaryQueue {
                 this._skipPendingDelay = false;
             }
         }
-        
-        this.active = false;
-        this.stopped = false;
-        
-        // Final update after processing completes
-        update_summary_stats_display();
-        update_overview_tab();
-        
-        // Transform button back to normal state (handles both completion and stop)
-        this.updateButtonState('inactive');
+    }
+    
+    // REQ-021: Workers finish out of order - results are stored in the order they were taken
+    // from the queue, so summaries (and the context blocks built from them) land in chat order
+    commit_in_order(seq, indexes, commit) {
+        this.pending.set(seq, { indexes, commit });
+        let committed = 0;
+        while (this.pending.has(this.commitSeq)) {
+            const { indexes: done, commit: next } = this.pending.get(this.commitSeq);
+            this.pending.delete(this.commitSeq);
+            this.commitSeq++;
+            done.forEach(index => this.uncommitted.delete(index));
+            if (!next || this.stopped) continue;
+            try {
+                next();
+                committed++;
+            } catch (e) {
+                error(`Failed to store summary: ${e.message || String(e)}`);
+            }
+        }
+        if (committed > 0) {
+            refresh_memory();
+        }
+    }
+    
+    // REQ-019: Next unit of work - up to summary_batch_size queued messages with no unqueued
+    // summarizable message between them (hidden/system gaps are fine)
+    take_batch() {
+        const size = Number(get_settings('summary_batch_size')) || 1;
+        const batch = [this.queue.shift()];
+        if (size <= 1 || this.singleOnly.has(batch[0])) {
+            return batch;
+        }
+
+        const chat = getContext().chat;
+        while (batch.length < size && this.queue.length > 0) {
+            const last = batch[batch.length - 1];
+            const next = this.queue[0];
+            if (next <= last || this.singleOnly.has(next)) break;
+            if (chat.slice(last + 1, next).some(message => can_summarize_message(message))) break;
+            batch.push(this.queue.shift());
+        }
+        return batch;
     }
     
     /**
@@ -3359,6 +6104,9 @@ class SummaryQueue {
     
     // Build context block from previous message's summary for better summarization accuracy
     // This helps the model understand references and pronouns in the current message
+    // REQ-021: With parallel workers the previous message may still be summarizing in another
+    // worker. The block is then left out rather than waiting (which would serialize the workers)
+    // or using the summary it is about to replace.
     build_context_block(currentIndex, ctx) {
         try {
             // No context for first message
@@ -3378,6 +6126,11 @@ class SummaryQueue {
                 return '';  // No previous non-system message found
             }
 
+            if (this.uncommitted.has(prevIndex)) {
+                debug(`Previous message ${prevIndex} is still being summarized, no context block for ${currentIndex}`);
+                return '';
+            }
+
             const prevMessage = chat[prevIndex];
             const prevSummary = get_memory(prevMessage);
 
@@ -3405,18 +6158,140 @@ class SummaryQueue {
         }
     }
     
+    // Final trims applied to a validated summary
+    finalize_summary(summary, ctx) {
+        // Trim incomplete sentences if enabled
+        if (ctx.powerUserSettings?.trim_sentences) {
+            summary = trimToEndSentence(summary);
+        }
+        
+        // Final length enforcement
+        if (summary.length > 300) {
+            summary = summary.substring(0, 300);
+            summary = trimToEndSentence(summary);
+        }
+        return summary;
+    }
+    
+    // REQ-023: validation - result whose warnings are recorded on the message (null clears it)
+    store_summary(message, summary, validation = null) {
+        set_data(message, 'memory', summary);
+        set_data(message, 'needs_summary', false);
+        set_data(message, 'hash', getStringHash(message.mes));
+        // REQ-022: A fresh summary resolves earlier failures
+        set_data(message, 'error', null);
+        set_data(message, 'needs_manual_review', false);
+        record_validation_result(message, validation);
+    }
+    
+    mark_for_review(message, validation) {
+        set_data(message, 'needs_manual_review', true);
+        set_data(message, 'needs_summary', true);  // Keep in pending state
+        record_validation_result(message, validation);
+    }
+    
+    // REQ-021: Every request gets its own controller so Stop can abort all of them
+    open_request() {
+        const controller = new AbortController();
+        this.controllers.add(controller);
+        return controller;
+    }
+    
+    close_request(controller) {
+        this.controllers.delete(controller);
+    }
+    
+    is_abort(e, controller) {
+        return this.stopped || controller.signal.aborted || (e && (e.name === 'AbortError' || (e.message && e.message.toLowerCase().includes('abort'))));
+    }
+    
+    // REQ-019: Summarize consecutive messages with one request.
+    // REQ-021: Returns { failed, commit } - the indexes that still need a single-message pass,
+    // and the store step the pool runs in chat order.
+    async summarize_batch(indexes) {
+        const ctx = getContext();
+        const messages = indexes.map(index => ctx.chat[index]);
+        const maxWords = get_settings('summary_max_words') || 50;
+        const prompt = build_batch_summary_prompt(messages, this.build_context_block(indexes[0], ctx), ctx);
+        
+        debug_trunc(`Batch summarizing ${indexes.length} messages (${indexes[0]}-${indexes[indexes.length - 1]})`);
+        if (this.stopped) return { failed: indexes, commit: null };
+        
+        const controller = this.open_request();
+        let result = null;
+        try {
+            if (get_settings('summary_endpoint_url')) {
+                result = await call_summary_endpoint(prompt, {
+                    signal: controller.signal,
+                    maxTokensOverride: (get_settings('summary_max_tokens') || 500) * indexes.length,
+                });
+            } else {
+                result = await generateRaw({ prompt: prompt });
+            }
+        } catch (e) {
+            if (!this.is_abort(e, controller)) {
+                debug_trunc(`Batch summary request failed (${e.message || String(e)}), falling back to single messages`);
+            }
+        } finally {
+            this.close_request(controller);
+        }
+        if (this.stopped) return { failed: indexes, commit: null };
+        
+        const raw = (typeof result === 'string') ? result : (result?.toString?.() || '');
+        const items = parse_batch_summaries(raw, indexes.length);
+        const failed = [];
+        const rejected = [];
+        const summaries = [];
+        indexes.forEach((index, i) => {
+            const message = messages[i];
+            let summary = this.clean_summary_output(items.get(i + 1) || '');
+            
+            // If cleaning removed the speaker label, add it back
+            if (summary && !summary.includes(':') && requires_speaker_label()) {
+                summary = `${get_message_speaker_name(message, ctx)}: ${summary}`;
+            }
+            
+            const validation = validate_summary(summary, ctx, maxWords, message);
+            if (!validation.valid) {
+                debug_trunc(`Batch item ${i + 1} (message ${index}) failed validation [${validation.rule}]: ${validation.reason}`);
+                // REQ-023: Reject rules skip the single-message retry
+                if (validation.severity === 'reject') {
+                    rejected.push({ index, message, validation });
+                } else {
+                    failed.push(index);
+                }
+                return;
+            }
+            summaries.push({ index, message, summary: this.finalize_summary(summary, ctx), validation });
+        });
+        
+        debug_trunc(`Batch summary: ${summaries.length}/${indexes.length} valid, ${rejected.length} rejected, ${failed.length} queued for single retries`);
+        const commit = (summaries.length === 0 && rejected.length === 0) ? null : () => {
+            for (const { index, message, summary, validation } of summaries) {
+                this.store_summary(message, summary, validation);
+                debug(`Summarized message ${index} (batch): "${summary}"`);
+            }
+            for (const { index, message, validation } of rejected) {
+                this.mark_for_review(message, validation);
+                debug(`Rejected summary for message ${index} [${validation.rule}]`);
+            }
+        };
+        return { failed, commit };
+    }
+    
+    // REQ-021: Generates and validates; returns the store step (or null) for the pool to commit in order
     async summarize_message(index) {
         const ctx = getContext();
         const message = ctx.chat[index];
         
-        if (!message || message.is_system) {
-            return;
+        if (!message || !can_summarize_message(message)) {
+            return null;
         }
         
         // Check if stopped before starting
         if (this.stopped) {
             debug(`Summarization stopped, skipping message ${index}`);
-            return;
+            return null;
         }
         
         debug(`Summarizing message ${index}...`);
@@ -3424,225 +6299,180 @@ class SummaryQueue {
         // Summarization no longer switches global connection profile;
         // it uses summary_endpoint_url (if set) or falls back to generateRaw().
         
+        // Create summary prompt with placeholders
+        const prompt_template = get_settings('summary_prompt');
+        const max_words = get_settings('summary_max_words') || 50;
+        
+        // Determine the likely speaker for the prefill
+        const speakerLabel = get_message_speaker_name(message, ctx) + ':';
+        
+        // === CONTEXT INJECTION ===
+        // Get previous message's summary for context (helps with references/pronouns)
+        let contextBlock = '';
         try {
-            // Create summary prompt with placeholders
-            const prompt_template = get_settings('summary_prompt');
-            const max_words = get_settings('summary_max_words') || 50;
-            
-            // Determine the likely speaker for the prefill
-            const speakerLabel = message.is_user
-                ? (ctx.name1 || 'User') + ':'
-                : (ctx.name2 || 'Character') + ':';
-            
-            // === CONTEXT INJECTION ===
-            // Get previous message's summary for context (helps with references/pronouns)
-            let contextBlock = '';
-            try {
-                const cb = this.build_context_block(index, ctx);
-                contextBlock = (typeof cb === 'string') ? cb : '';
-                if (!contextBlock && cb) {
-                    debug(`build_context_block returned non-string for message ${index}, ignoring`);
-                }
-            } catch (e) {
-                console.error(`[${MODULE_NAME_FANCY}] build_context_block threw:`, e);
-                try { toastr.error(`Context build failed: ${e.message || String(e)}`, MODULE_NAME_FANCY); } catch (t) { }
-                contextBlock = '';
+            const cb = this.build_context_block(index, ctx);
+            contextBlock = (typeof cb === 'string') ? cb : '';
+            if (!contextBlock && cb) {
+                debug(`build_context_block returned non-string for message ${index}, ignoring`);
             }
+        } catch (e) {
+            console.error(`[${MODULE_NAME_FANCY}] build_context_block threw:`, e);
+            try { toastr.error(`Context build failed: ${e.message || String(e)}`, MODULE_NAME_FANCY); } catch (t) { }
+            contextBlock = '';
+        }
 
-            let prompt = prompt_template
-                .replace(/\{\{message\}\}/g, message.mes)
-                .replace(/\{\{words\}\}/g, max_words)
-                .replace(/\{\{user\}\}/g, ctx.name1 || 'User')
-                .replace(/\{\{char\}\}/g, ctx.name2 || 'Character')
-                .replace(/\{\{context_block\}\}/g, contextBlock);
-            
-            // Generate summary using configured summary endpoint (if set) or generateRaw
-            try {
-                // Wait for any previous generation to complete
-                while (this._currentlyGenerating && !this.stopped) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
+        let prompt = prompt_template
+            .replace(/\{\{message\}\}/g, message.mes)
+            .replace(/\{\{words\}\}/g, max_words)
+            .replace(/\{\{user\}\}/g, ctx.name1 || 'User')
+            .replace(/\{\{char\}\}/g, ctx.name2 || 'Character')
+            .replace(/\{\{context_block\}\}/g, contextBlock);
+        
+        const controller = this.open_request();
+        
+        // Generate summary using configured summary endpoint (if set) or generateRaw
+        try {
+            debug(`Generating summary for message ${index}`);
+            debug_trunc(`[${MODULE_NAME_FANCY}] Using ${get_settings('summary_endpoint_url') ? 'summary endpoint' : 'generateRaw'} for message ${index}`);
 
-                if (this.stopped) {
-                    debug(`Summarization stopped while waiting for previous generation for message ${index}`);
-                    return;
+            // Prefer external summary endpoint when configured (REQ-003)
+            let result = null;
+            try {
+                if (get_settings('summary_endpoint_url')) {
+                    // Delegate retry/backoff to call_summary_endpoint which implements exponential backoff + retries
+                    result = await call_summary_endpoint(prompt, { signal: controller.signal });
+                } else {
+                    result = await generateRaw({
+                        prompt: prompt,
+                        // Note: generateRaw doesn't support abortSignal directly,
+                        // but we check this.stopped before and after the call
+                    });
                 }
-
-                this._currentlyGenerating = true;
-
-                // Create new AbortController for this generation
-                this.abortController = new AbortController();
-
-                // Check stopped BEFORE making the API call
-                if (this.stopped) {
-                    debug(`Summarization stopped before API call for message ${index}`);
-                    this.abortController = null;
-                    this._currentlyGenerating = false;
-                    return;
+            } catch (callErr) {
+                // If the call was aborted by the user, treat as a non-error and exit quietly
+                if (this.is_abort(callErr, controller)) {
+                    debug(`Summarization aborted/stopped for message ${index}`);
+                    return null; // Don't mark message as error when user aborted
                 }
 
-                debug(`Generating summary for message ${index}`);
-                debug_trunc(`[${MODULE_NAME_FANCY}] Using ${get_settings('summary_endpoint_url') ? 'summary endpoint' : 'generateRaw'} for message ${index}`);
-
-                // Prefer external summary endpoint when configured (REQ-003)
-                let result = null;
-                try {
-                    if (get_settings('summary_endpoint_url')) {
-                        // Delegate retry/backoff to call_summary_endpoint which implements exponential backoff + retries
-                        result = await call_summary_endpoint(prompt, { signal: this.abortController.signal });
-                    } else {
-                        result = await generateRaw({
-                            prompt: prompt,
-                            // Note: generateRaw doesn't support abortSignal directly,
-                            // but we check this.stopped before and after the call
-                        });
-                    }
-                } catch (callErr) {
-                    // If the call was aborted by the user, treat as a non-error and exit quietly
-                    const wasAborted = this.stopped || (this.abortController && this.abortController.signal && this.abortController.signal.aborted) || (callErr && (callErr.name === 'AbortError' || (callErr.message && callErr.message.toLowerCase().includes('abort')) || (callErr.message && callErr.message.toLowerCase().includes('request aborted'))));
-
-                    this.abortController = null;
-
-                    if (wasAborted) {
-                        debug(`Summarization aborted/stopped for message ${index}`);
-                        return; // Don't mark message as error when user aborted
-                    }
-
-                    // Non-abort errors should be recorded on the message and surfaced
-                    console.error(`[${MODULE_NAME_FANCY}] Summarization generation failed for message ${index}:`, callErr);
-                    set_data(message, 'error', String(callErr));
-                    try { toastr.error(`Summarization generation failed for message ${index}: ${callErr.message || String(callErr)}`, MODULE_NAME_FANCY); } catch (t) {}
-                    return;
-                }
+                // Non-abort errors should be recorded on the message and surfaced
+                console.error(`[${MODULE_NAME_FANCY}] Summarization generation failed for message ${index}:`, callErr);
+                set_data(message, 'error', String(callErr));
+                try { toastr.error(`Summarization generation failed for message ${index}: ${callErr.message || String(callErr)}`, MODULE_NAME_FANCY); } catch (t) {}
+                return null;
+            }
 
-                // Check if stopped during generation
-                if (this.stopped) {
-                    debug(`Summarization stopped during generation of message ${index}`);
-                    this.abortController = null;
-                    this._currentlyGenerating = false;
-                    return;
-                }
+            // Check if stopped during generation
+            if (this.stopped) {
+                debug(`Summarization stopped during generation of message ${index}`);
+                return null;
+            }
 
-                this.abortController = null;
+            if (!result) {
+                return null;
+            }
 
-                if (result) {
-                    // Normalize result to a string (handles both fetch text and structured objects)
-                    const raw = (typeof result === 'string') ? result : (result?.toString?.() || '');
-                    let rawSummary = raw;
+            // Normalize result to a string (handles both fetch text and structured objects)
+            const raw = (typeof result === 'string') ? result : (result?.toString?.() || '');
+            let rawSummary = raw;
 
-                    // V33: Validation loop with max 3 attempts
-                    const maxWords = get_settings('summary_max_words') || 50;
-                    let validationAttempt = 0;
-                    const maxValidationAttempts = 3;
-                    let finalSummary = null;
-                    let lastValidationReason = null;
+            // V33: Validation loop with max 3 attempts
+            const maxWords = get_settings('summary_max_words') || 50;
+            let validationAttempt = 0;
+            const maxValidationAttempts = 3;
+            let finalSummary = null;
+            let finalValidation = null;
+            let lastValidation = null;
 
-                    while (validationAttempt < maxValidationAttempts && !this.stopped) {
-                        validationAttempt++;
-                        
-                        // On first attempt, use the result we already have
-                        // On subsequent attempts, regenerate
-                        let summaryToValidate;
-                        if (validationAttempt === 1) {
-                            summaryToValidate = this.clean_summary_output(rawSummary);
-                        } else {
-                            debug_trunc(`Validation retry ${validationAttempt}/${maxValidationAttempts} for message ${index}`);
-                            
-                            // Regenerate with doubled tokens on retry
-                            const retryTokens = (get_settings('summary_max_tokens') || 500) * 2;
-                            try {
-                                let retryResult;
-                                if (get_settings('summary_endpoint_url')) {
-                                    retryResult = await call_summary_endpoint(prompt, {
-                                        signal: this.abortController?.signal,
-                                        maxTokensOverride: retryTokens
-                                    });
-                                } else {
-                                    retryResult = await generateRaw({ prompt: prompt });
-                                }
-                                
-                                if (!retryResult) continue;
-                                summaryToValidate = this.clean_summary_output(retryResult);
-                            } catch (retryErr) {
-                                debug_trunc(`Retry generation failed: ${retryErr.message}`);
-                                continue;
-                            }
-                        }
-                        
-                        // If cleaning removed the speaker label, add it back
-                        if (summaryToValidate && !summaryToValidate.includes(':')) {
-                            summaryToValidate = speakerLabel + ' ' + summaryToValidate;
-                        }
-                        
-                        // Validate the summary
-                        const validation = validate_summary(summaryToValidate, ctx, maxWords);
-                        
-                        if (validation.valid) {
-                            // Trim incomplete sentences if enabled
-                            if (ctx.powerUserSettings?.trim_sentences) {
-                                summaryToValidate = trimToEndSentence(summaryToValidate);
-                            }
-                            
-                            // Final length enforcement
-                            if (summaryToValidate.length > 300) {
-                                summaryToValidate = summaryToValidate.substring(0, 300);
-                                summaryToValidate = trimToEndSentence(summaryToValidate);
-                            }
-                            
-                            finalSummary = summaryToValidate;
-                            break;
+            while (validationAttempt < maxValidationAttempts && !this.stopped) {
+                validationAttempt++;
+                
+                // On first attempt, use the result we already have
+                // On subsequent attempts, regenerate
+                let summaryToValidate;
+                if (validationAttempt === 1) {
+                    summaryToValidate = this.clean_summary_output(rawSummary);
+                } else {
+                    debug_trunc(`Validation retry ${validationAttempt}/${maxValidationAttempts} for message ${index}`);
+                    
+                    // Regenerate with doubled tokens on retry
+                    const retryTokens = (get_settings('summary_max_tokens') || 500) * 2;
+                    try {
+                        let retryResult;
+                        if (get_settings('summary_endpoint_url')) {
+                            retryResult = await call_summary_endpoint(prompt, {
+                                signal: controller.signal,
+                                maxTokensOverride: retryTokens
+                            });
                         } else {
-                            lastValidationReason = validation.reason;
-                            debug_trunc(`Validation failed (attempt ${validationAttempt}): ${validation.reason}`);
+                            retryResult = await generateRaw({ prompt: prompt });
                         }
-                    }
-
-                    // Handle result
-                    if (finalSummary) {
-                        // Store summary
-                        set_data(message, 'memory', finalSummary);
-                        set_data(message, 'needs_summary', false);
-                        set_data(message, 'hash', getStringHash(message.mes));
-                        
-                        debug(`Summarized message ${index}: "${finalSummary}"`);
-                    } else {
-                        // All attempts failed - mark for manual review and log if debug enabled
-                        set_data(message, 'needs_manual_review', true);
-                        set_data(message, 'needs_summary', true);  // Keep in pending state
                         
-                        if (get_settings('debug_truncation')) {
-                            const preview = message.mes.substring(0, 100) + (message.mes.length > 100 ? '...' : '');
-                            console.log(`[${MODULE_NAME_FANCY}][Truncation] Summary validation failed for message ${index} after ${maxValidationAttempts} attempts`);
-                            console.log(`  Last attempt reason: ${lastValidationReason}`);
-                            console.log(`  Message preview: ${preview}`);
-                        }
-                        
-                        debug(`Dropped summary for message ${index} after ${maxValidationAttempts} failed attempts`);
+                        if (!retryResult) continue;
+                        summaryToValidate = this.clean_summary_output(retryResult);
+                    } catch (retryErr) {
+                        debug_trunc(`Retry generation failed: ${retryErr.message}`);
+                        continue;
                     }
                 }
                 
-                // Release lock after successful completion
-                this._currentlyGenerating = false;
-            } catch (e) {
-                // Any unexpected errors here should be surfaced and recorded
-                const aborted = this.stopped || (this.abortController && this.abortController.signal && this.abortController.signal.aborted) || (e && (e.name === 'AbortError' || (e.message && e.message.toLowerCase().includes('abort'))));
-                if (aborted) {
-                    debug(`Summarization aborted/stopped for message ${index}`);
+                // If cleaning removed the speaker label, add it back
+                if (summaryToValidate && !summaryToValidate.includes(':') && requires_speaker_label()) {
+                    summaryToValidate = speakerLabel + ' ' + summaryToValidate;
+                }
+                
+                // Validate the summary
+                const validation = validate_summary(summaryToValidate, ctx, maxWords, message);
+                
+                if (validation.valid) {
+                    finalSummary = this.finalize_summary(summaryToValidate, ctx);
+                    finalValidation = validation;
+                    break;
                 } else {
-                    console.error(`[${MODULE_NAME_FANCY}]`, `Failed to summarize message ${index}:`, e);
-                    set_data(message, 'error', String(e));
-                    try { toastr.error(`Summarization failed for message ${index}: ${e.message || String(e)}`, MODULE_NAME_FANCY); } catch (toastErr) { console.error(`[${MODULE_NAME_FANCY}] toastr error:`, toastErr); }
+                    lastValidation = validation;
+                    debug_trunc(`Validation failed (attempt ${validationAttempt}) [${validation.rule}]: ${validation.reason}`);
+                    // REQ-023: Reject rules end the loop without regenerating
+                    if (validation.severity === 'reject') break;
                 }
+            }
 
-                this.abortController = null;
-                this._currentlyGenerating = false;  // Release lock on error
+            if (this.stopped) {
+                return null;
             }
-            
-            // Refresh memory after summarization (unless stopped)
-            if (!this.stopped) {
-                refresh_memory();
+
+            // Handle result
+            return () => {
+                if (finalSummary) {
+                    // Store summary
+                    this.store_summary(message, finalSummary, finalValidation);
+                    
+                    debug(`Summarized message ${index}: "${finalSummary}"`);
+                } else {
+                    // All attempts failed - mark for manual review and log if debug enabled
+                    this.mark_for_review(message, lastValidation);
+                    
+                    if (get_settings('debug_truncation')) {
+                        const preview = message.mes.substring(0, 100) + (message.mes.length > 100 ? '...' : '');
+                        console.log(`[${MODULE_NAME_FANCY}][Truncation] Summary validation failed for message ${index} after ${validationAttempt} attempts`);
+                        console.log(`  Last attempt rule: ${lastValidation?.rule} (${lastValidation?.severity}) - ${lastValidation?.reason}`);
+                        console.log(`  Message preview: ${preview}`);
+                    }
+                    
+                    debug(`Dropped summary for message ${index} after ${validationAttempt} failed attempts`);
+                }
+            };
+        } catch (e) {
+            // Any unexpected errors here should be surfaced and recorded
+            if (this.is_abort(e, controller)) {
+                debug(`Summarization aborted/stopped for message ${index}`);
+            } else {
+                console.error(`[${MODULE_NAME_FANCY}]`, `Failed to summarize message ${index}:`, e);
+                set_data(message, 'error', String(e));
+                try { toastr.error(`Summarization failed for message ${index}: ${e.message || String(e)}`, MODULE_NAME_FANCY); } catch (toastErr) { console.error(`[${MODULE_NAME_FANCY}] toastr error:`, toastErr); }
             }
+            return null;
         } finally {
+            this.close_request(controller);
         }
     }
 }
@@ -3706,15 +6536,23 @@ function register_event_listeners() {
             // Clear Qdrant memories for new chat (these are transient, not persisted)
             CURRENT_QDRANT_MEMORIES = [];
             CURRENT_QDRANT_INJECTION = '';
+            QDRANT_DEMAND_TOKENS = 0;
+            LAST_GENERATION_SNAPSHOT = null;
+            reset_cache_simulation();
             // NOTE: QDRANT_TOKEN_HISTORY is now loaded from chat_metadata
             // by load_truncation_index() - no manual reset needed
         }
         currentChatId = newChatId;
+
+        // REQ-005: Character/chat settings layers follow the active chat
+        load_character_settings_overrides();
+        refresh_bound_settings();
         
         // Initialize chat snapshot for deletion/edit detection
         snapshot_chat_state();
         
         refresh_memory();
+        update_message_buttons();
         
         // Update UI with loaded state immediately (don't wait for generation)
         update_overview_tab();
@@ -3722,6 +6560,23 @@ function register_event_listeners() {
         update_summary_stats_display();
     });
     
+    // REQ-018: Measure the final prompt once it is assembled (text completion / chat completion)
+    eventSource.on(event_types.GENERATE_AFTER_COMBINE_PROMPTS, (data) => {
+        if (data?.dryRun || !data?.prompt) return;
+        record_prompt_measurements(data.prompt);
+    });
+    eventSource.on(event_types.CHAT_COMPLETION_PROMPT_READY, (data) => {
+        if (data?.dryRun || !Array.isArray(data?.chat)) return;
+        record_prompt_measurements(data.chat);
+    });
+    
+    // REQ-020: Roll-ups on the main API must not overlap a generation
+    eventSource.on(event_types.GENERATION_STARTED, (type, options, dryRun) => {
+        if (!dryRun) GENERATION_IN_PROGRESS = true;
+    });
+    eventSource.on(event_types.GENERATION_ENDED, () => { GENERATION_IN_PROGRESS = false; });
+    eventSource.on(event_types.GENERATION_STOPPED, () => { GENERATION_IN_PROGRESS = false; });
+
     // Smart handling of message deletions
     eventSource.on(event_types.MESSAGE_DELETED, () => {
         handle_message_deleted();
@@ -3734,8 +6589,12 @@ function register_event_listeners() {
     eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, (id) => {
         if (streamingProcessor && !streamingProcessor.isFinished) return;
 
-        // Auto-summarize (delay to avoid interfering with message generation)
-        setTimeout(() => auto_summarize_chat(), 500);
+        // Auto-summarize (delay to avoid interfering with message generation), then the
+        // roll-ups the injection of this reply asked for (REQ-020)
+        setTimeout(async () => {
+            await auto_summarize_chat();
+            run_pending_rollups();
+        }, 500);
 
         // Auto-buffer for Qdrant (if enabled)
         const ctx = getContext();
@@ -3749,6 +6608,8 @@ function register_event_listeners() {
         // Vectorize delayed messages that are now outside the delay window
         vectorize_delayed_messages();
 
+        update_message_buttons();
+
         // Delay status update to ensure itemizedPrompts is populated
         setTimeout(async () => {
             // Refresh Qdrant memories and vector statistics after each message
@@ -3789,6 +6650,8 @@ function register_event_listeners() {
         // Vectorize delayed messages that are now outside the delay window
         vectorize_delayed_messages();
 
+        update_message_buttons();
+
         // Delay status update to ensure itemizedPrompts is populated
         setTimeout(async () => {
             // Refresh Qdrant memories and vector statistics after each message
@@ -3822,12 +6685,14 @@ function bind_setting(selector, key, type = 'text') {
         return;
     }
     
-    // Set initial value
-    if (type === 'boolean') {
-        element.prop('checked', get_settings(key));
-    } else {
-        element.val(get_settings(key));
-    }
+    // Set initial value (REQ-005: effective value, re-synced on layer/chat change)
+    register_bound_setting(selector, key, () => {
+        if (type === 'boolean') {
+            element.prop('checked', get_settings(key));
+        } else {
+            element.val(get_settings(key));
+        }
+    });
     
     // Listen for changes
     element.on('change', function() {
@@ -3841,16 +6706,68 @@ function bind_setting(selector, key, type = 'text') {
         }
         
         debug(`Setting [${key}] changed to [${value}]`);
-        set_settings(key, value);
+        set_settings(key, value, SETTINGS_EDIT_LAYER);
+        refresh_bound_settings();
+        refresh_memory();
+    });
+}
+
+// REQ-009: Bind one field of a budget share (min/max shown as percent)
+function bind_budget_share_setting(selector, share, field) {
+    const element = $(selector);
+    const isRatio = field !== 'priority';
+
+    register_bound_setting(selector, 'budget_shares', () => {
+        const value = get_settings('budget_shares')[share]?.[field] ?? 0;
+        element.val(isRatio ? Math.round(value * 100) : value);
+    });
+
+    element.on('change', function() {
+        const shares = structuredClone(get_settings('budget_shares'));
+        const value = Number($(this).val()) || 0;
+        shares[share] = { ...shares[share], [field]: isRatio ? Math.min(Math.max(value, 0), 100) / 100 : value };
+
+        debug(`Budget share [${share}.${field}] changed to [${shares[share][field]}]`);
+        set_settings('budget_shares', shares, SETTINGS_EDIT_LAYER);
+        refresh_bound_settings();
         refresh_memory();
     });
 }
 
+// REQ-010: Bind the policy select of one generation type
+function bind_generation_policy_setting(selector, type) {
+    const element = $(selector);
+
+    register_bound_setting(selector, 'generation_policies', () => {
+        element.val(get_generation_policy(type));
+    });
+
+    element.on('change', function() {
+        const policies = { ...get_settings('generation_policies'), [type]: $(this).val() };
+        debug(`Generation policy [${type}] changed to [${policies[type]}]`);
+        set_settings('generation_policies', policies, SETTINGS_EDIT_LAYER);
+        refresh_bound_settings();
+    });
+}
+
 function initialize_ui_listeners() {
     log('Initializing UI listeners...');
     
     // ==================== TAB NAVIGATION ====================
     initialize_tab_navigation();
+
+    // ==================== SETTINGS LAYERS (REQ-005) ====================
+    load_character_settings_overrides();
+    $('#ct_settings_layer').val(SETTINGS_EDIT_LAYER).on('change', function() {
+        SETTINGS_EDIT_LAYER = $(this).val();
+        debug(`Editing settings layer: ${SETTINGS_EDIT_LAYER}`);
+        update_settings_layer_info();
+    });
+    $('#ct_settings_layer_clear').on('click', () => {
+        if (SETTINGS_EDIT_LAYER === 'global') return;
+        clear_settings_override(SETTINGS_EDIT_LAYER);
+        toastr.info(`Cleared ${SETTINGS_EDIT_LAYER} overrides`, MODULE_NAME_FANCY);
+    });
     
     // ==================== TRUNCATION SETTINGS ====================
     bind_setting('#ct_enabled', 'enabled', 'boolean');
@@ -3881,9 +6798,41 @@ function initialize_ui_listeners() {
     bind_setting('#ct_auto_summarize', 'auto_summarize', 'boolean');
     bind_setting('#ct_summary_endpoint_url', 'summary_endpoint_url', 'text');
     bind_setting('#ct_summary_endpoint_api_key', 'summary_endpoint_api_key', 'text');
+    bind_setting('#ct_summary_endpoint_protocol', 'summary_endpoint_protocol', 'text');
+    bind_setting('#ct_summary_endpoint_model', 'summary_endpoint_model', 'text');
+    // REQ-024: A new URL or protocol invalidates the probed protocol
+    $('#ct_summary_endpoint_url, #ct_summary_endpoint_protocol').on('change', () => {
+        set_settings('summary_endpoint_detected_protocol', '');
+        update_summary_protocol_display();
+    });
+    update_summary_protocol_display();
+    
+    // REQ-025: Sampling for the summary endpoint
+    bind_range_setting('#ct_summary_temperature', 'summary_temperature', '#ct_summary_temperature_display', true);
+    bind_range_setting('#ct_summary_top_p', 'summary_top_p', '#ct_summary_top_p_display', true);
+    bind_range_setting('#ct_summary_presence_penalty', 'summary_presence_penalty', '#ct_summary_presence_penalty_display', true);
+    bind_range_setting('#ct_summary_frequency_penalty', 'summary_frequency_penalty', '#ct_summary_frequency_penalty_display', true);
+    bind_setting('#ct_summary_system_prompt', 'summary_system_prompt', 'text');
+    bind_setting('#ct_summary_stop_sequences', 'summary_stop_sequences', 'text');
+    bind_setting('#ct_summary_extra_body', 'summary_extra_body', 'text');
+    bind_setting('#ct_summary_disable_glm_thinking', 'summary_disable_glm_thinking', 'boolean');
+    $('#ct_summary_extra_body').on('change', function () {
+        try {
+            parse_summary_extra_body($(this).val());
+        } catch (e) {
+            toastr.warning(`${e.message} - summary requests will fail until it is fixed`, MODULE_NAME_FANCY);
+        }
+    });
+    
     bind_range_setting('#ct_summary_timeout', 'summary_endpoint_timeout', '#ct_summary_timeout_display');
     bind_range_setting('#ct_summary_delay', 'summary_request_delay', '#ct_summary_delay_display');
     bind_setting('#ct_summary_retries', 'summary_max_retries', 'number');
+    bind_setting('#ct_show_summary_badges', 'show_summary_badges', 'boolean');
+    $('#ct_show_summary_badges').on('change', update_summary_badges);
+    initialize_validation_rules_ui();
+    bind_range_setting('#ct_summary_concurrency', 'summary_concurrency', '#ct_summary_concurrency_display');
+    bind_setting('#ct_summary_rate_limit_rpm', 'summary_rate_limit_rpm', 'number');
+    bind_setting('#ct_summary_rate_limit_tpm', 'summary_rate_limit_tpm', 'number');
 
     // Per-module debug settings
     bind_setting('#ct_debug_truncation', 'debug_truncation', 'boolean');
@@ -3893,7 +6842,8 @@ function initialize_ui_listeners() {
     $('#ct_batch_size').off('change').on('change', function() {
         const value = Number($(this).val());
         debug(`Setting [batch_size] changed to [${value}]`);
-        set_settings('batch_size', value);
+        set_settings('batch_size', value, SETTINGS_EDIT_LAYER);
+        refresh_bound_settings();
         reset_truncation_index();  // Reset when batch size changes
         toastr.info('Batch size changed - truncation reset', MODULE_NAME_FANCY);
         refresh_memory();
@@ -3904,9 +6854,81 @@ function initialize_ui_listeners() {
 
     // Summarization delay (new slider)
     bind_range_setting('#ct_summarization_delay', 'summarization_delay', '#ct_summarization_delay_display');
+
+    // Prompt cache planner (REQ-002)
+    bind_setting('#ct_cache_aligned_truncation', 'cache_aligned_truncation', 'boolean');
+    bind_range_setting('#ct_cache_sim_generations', 'cache_sim_generations', '#ct_cache_sim_generations_display');
+
+    // Dry-run preview (REQ-006)
+    $('#ct_preview_run').on('click', () => run_truncation_preview());
+    $('#ct_preview_reset').on('click', () => {
+        $('#ct_preview_target').val(get_settings('target_context_size'));
+        $('#ct_preview_batch').val(get_settings('batch_size'));
+        $('#ct_preview_min_keep').val(get_settings('min_messages_to_keep'));
+        $('#ct_preview_summary_cap').val('');
+        $('#ct_preview_result').empty();
+    }).trigger('click');
+
+    // Watermark ratchet (REQ-011)
+    bind_setting('#ct_truncation_strategy', 'truncation_strategy');
+    bind_range_setting_percent('#ct_watermark_high', 'watermark_high', '#ct_watermark_high_display');
+    bind_range_setting_percent('#ct_watermark_low', 'watermark_low', '#ct_watermark_low_display');
+    const update_watermark_controls = () => {
+        $('#ct_watermark_settings').toggle(is_watermark_mode());
+        $('#ct_cache_aligned_truncation').closest('.ct_compact_checkbox').toggle(!is_watermark_mode());
+        update_overview_tab();
+    };
+    $('#ct_truncation_strategy, #ct_watermark_high, #ct_watermark_low').on('change', update_watermark_controls);
+    update_watermark_controls();
+
+    // Token budget (REQ-009)
+    bind_range_setting_percent('#ct_context_safety_cap', 'context_safety_cap', '#ct_context_safety_cap_display');
+    bind_range_setting_percent('#ct_min_keep_ratio', 'min_keep_ratio', '#ct_min_keep_ratio_display');
+    bind_setting('#ct_budget_allocator_enabled', 'budget_allocator_enabled', 'boolean');
+    for (const share of Object.keys(BUDGET_SHARE_LABELS)) {
+        for (const field of ['priority', 'min', 'max']) {
+            bind_budget_share_setting(`#ct_budget_${share}_${field}`, share, field);
+        }
+    }
+    $('#ct_budget_allocator_enabled').on('change', () => {
+        update_auto_limit_display();
+        update_overview_tab();
+    });
+
+    // Generation-type policies (REQ-010)
+    for (const type of GENERATION_POLICY_TYPES) {
+        bind_generation_policy_setting(`#ct_policy_${type}`, type);
+    }
+
+    // Hidden messages (REQ-013)
+    bind_setting('#ct_summarize_hidden_messages', 'summarize_hidden_messages', 'boolean');
+    bind_setting('#ct_vectorize_hidden_messages', 'vectorize_hidden_messages', 'boolean');
+
+    // Partial trimming (REQ-008)
+    bind_setting('#ct_partial_trim_enabled', 'partial_trim_enabled', 'boolean');
+    bind_range_setting('#ct_partial_trim_min_tokens', 'partial_trim_min_tokens', '#ct_partial_trim_min_tokens_display');
+    bind_range_setting('#ct_partial_trim_tail_sentences', 'partial_trim_tail_sentences', '#ct_partial_trim_tail_sentences_display');
+
+    // Group speaker minimums (REQ-007)
+    bind_range_setting('#ct_group_min_per_speaker', 'group_min_messages_per_speaker', '#ct_group_min_per_speaker_display');
+
+    // Scene boundaries (REQ-004)
+    bind_setting('#ct_scene_aware_truncation', 'scene_aware_truncation', 'boolean');
+    bind_range_setting('#ct_scene_snap_window', 'scene_snap_window', '#ct_scene_snap_window_display');
+    bind_setting('#ct_scene_separator_patterns', 'scene_separator_patterns', 'text');
+    bind_setting('#ct_scene_time_skip_patterns', 'scene_time_skip_patterns', 'text');
+    bind_setting('#ct_scene_use_location_changes', 'scene_use_location_changes', 'boolean');
+    bind_setting('#ct_scene_location_patterns', 'scene_location_patterns', 'text');
     
     // Max words per summary (now a slider)
     bind_range_setting('#ct_max_words', 'summary_max_words', '#ct_max_words_display');
+    bind_range_setting('#ct_summary_batch_size', 'summary_batch_size', '#ct_summary_batch_size_display');
+    bind_setting('#ct_summary_batch_format', 'summary_batch_format', 'text');
+    bind_setting('#ct_rollup_summaries_enabled', 'rollup_summaries_enabled', 'boolean');
+    bind_range_setting('#ct_rollup_chapter_size', 'rollup_chapter_size', '#ct_rollup_chapter_size_display');
+    bind_range_setting('#ct_rollup_arc_size', 'rollup_arc_size', '#ct_rollup_arc_size_display');
+    bind_range_setting('#ct_rollup_max_words', 'rollup_max_words', '#ct_rollup_max_words_display');
+    bind_setting('#ct_rollup_prompt', 'rollup_prompt', 'text');
     
     // Connection profile dropdown removed — summarization uses independent summary_endpoint_url
     
@@ -3931,10 +6953,11 @@ function initialize_ui_listeners() {
     // Force Recalibrate button - resets ONLY the correction factor (not truncation index)
     $('#ct_force_recalibrate').on('click', () => {
         CHAT_TOKEN_CORRECTION_FACTOR = 1.0;
+        CATEGORY_CORRECTION_FACTORS = create_category_factors();
         CALIBRATION_STATE = 'INITIAL_TRAINING';
         GENERATION_COUNT = 0;
         STABLE_COUNT = 0;
-        save_truncation_index();
+        save_truncation_index('force recalibrate');
         update_calibration_ui();
         update_overview_tab();
         toastr.info('Correction factor reset to 1.0 - will recalibrate on next generation', MODULE_NAME_FANCY);
@@ -3953,7 +6976,7 @@ function initialize_ui_listeners() {
         const indexes = [];
         
         for (let i = 0; i < chat.length; i++) {
-            if (!chat[i].is_system && !get_memory(chat[i])) {
+            if (can_summarize_message(chat[i]) && !get_memory(chat[i])) {
                 indexes.push(i);
             }
         }
@@ -3968,10 +6991,13 @@ function initialize_ui_listeners() {
     // ==================== AUTO-CALIBRATION SETTINGS ====================
     
     // Auto-calibrate toggle
-    $('#ct_auto_calibrate').prop('checked', get_settings('auto_calibrate_target'));
+    register_bound_setting('#ct_auto_calibrate', 'auto_calibrate_target', () => {
+        $('#ct_auto_calibrate').prop('checked', get_settings('auto_calibrate_target'));
+    });
     $('#ct_auto_calibrate').on('change', function() {
         const value = $(this).prop('checked');
-        set_settings('auto_calibrate_target', value);
+        set_settings('auto_calibrate_target', value, SETTINGS_EDIT_LAYER);
+        refresh_bound_settings();
         update_calibration_ui();
         update_target_size_state();
         
@@ -4026,6 +7052,10 @@ function initialize_ui_listeners() {
     // Qdrant action buttons
     $('#ct_qdrant_test').on('click', test_qdrant_connection);
     $('#ct_summary_endpoint_test').on('click', test_summary_endpoint);
+    $('#ct_rollup_clear').on('click', () => {
+        clear_rollups();
+        toastr.info('Roll-up summaries cleared', MODULE_NAME_FANCY);
+    });
     $('#ct_test_embedding').on('click', test_embedding);
     // Index button toggles between start and stop
     $('#ct_index_chats').on('click', () => {
@@ -4089,7 +7119,7 @@ function initialize_ui_listeners() {
         const indexes = [];
 
         for (let i = 0; i < chat.length; i++) {
-            if (!chat[i].is_system && !get_memory(chat[i])) {
+            if (can_summarize_message(chat[i]) && !get_memory(chat[i])) {
                 indexes.push(i);
             }
         }
@@ -4123,6 +7153,82 @@ function initialize_ui_listeners() {
         }
     });
 
+    // Pinned messages panel (REQ-003)
+    $('#ct_pinned_toggle').on('click', function() {
+        const $content = $('#ct_pinned_list');
+        const isExpanded = $content.is(':visible');
+
+        if (isExpanded) {
+            $content.slideUp(200);
+            $(this).removeClass('expanded');
+        } else {
+            $content.slideDown(200);
+            $(this).addClass('expanded');
+        }
+    });
+    $('#ct_pinned_list').on('click', '.ct_pin_remove', function() {
+        toggle_message_pin(Number($(this).data('index')));
+    });
+
+    // Calibration log (REQ-015)
+    $('#ct_calibration_log_toggle').on('click', function() {
+        const $content = $('#ct_calibration_log_content');
+        const isExpanded = $content.is(':visible');
+
+        if (isExpanded) {
+            $content.slideUp(200);
+            $(this).removeClass('expanded');
+        } else {
+            update_calibration_chart();
+            $content.slideDown(200);
+            $(this).addClass('expanded');
+        }
+    });
+    $('#ct_calibration_log_csv').on('click', () => export_calibration_log('csv'));
+    $('#ct_calibration_log_json').on('click', () => export_calibration_log('json'));
+
+    // Calibration profile manager (REQ-014)
+    bind_setting('#ct_use_calibration_profiles', 'use_calibration_profiles', 'boolean');
+    bind_setting('#ct_measure_prompt_tokens', 'measure_prompt_tokens', 'boolean');
+    $('#ct_profiles_toggle').on('click', function() {
+        const $content = $('#ct_profiles_content');
+        const isExpanded = $content.is(':visible');
+
+        if (isExpanded) {
+            $content.slideUp(200);
+            $(this).removeClass('expanded');
+        } else {
+            update_calibration_profiles_display();
+            $content.slideDown(200);
+            $(this).addClass('expanded');
+        }
+    });
+    $('#ct_profiles_list').on('click', '.ct_profile_remove', function() {
+        reset_calibration_profile(String($(this).data('key')));
+    });
+    $('#ct_profiles_reset_all').on('click', () => {
+        if (!confirm('Delete all saved calibration profiles?')) return;
+        reset_calibration_profile();
+        toastr.info('All calibration profiles reset', MODULE_NAME_FANCY);
+    });
+
+    // Truncation history panel (REQ-012)
+    $('#ct_history_toggle').on('click', function() {
+        const $content = $('#ct_history_list');
+        const isExpanded = $content.is(':visible');
+
+        if (isExpanded) {
+            $content.slideUp(200);
+            $(this).removeClass('expanded');
+        } else {
+            $content.slideDown(200);
+            $(this).addClass('expanded');
+        }
+    });
+    $('#ct_history_list').on('click', '.ct_history_restore', function() {
+        restore_truncation_state(Number($(this).data('entry')));
+    });
+
 
     
     // ==================== TOKEN COUNTS TOGGLE ====================
@@ -4169,6 +7275,34 @@ function initialize_ui_listeners() {
         }
     });
     
+    // ==================== DRY-RUN PREVIEW TOGGLE (REQ-006) ====================
+    $('#ct_preview_toggle').on('click', function() {
+        const $content = $('#ct_preview_content');
+        const isExpanded = $content.is(':visible');
+        
+        if (isExpanded) {
+            $content.slideUp(200);
+            $(this).removeClass('expanded');
+        } else {
+            $content.slideDown(200);
+            $(this).addClass('expanded');
+        }
+    });
+    
+    // ==================== TOKEN BUDGET TOGGLE (REQ-009) ====================
+    $('#ct_budget_toggle').on('click', function() {
+        const $content = $('#ct_budget_content');
+        const isExpanded = $content.is(':visible');
+        
+        if (isExpanded) {
+            $content.slideUp(200);
+            $(this).removeClass('expanded');
+        } else {
+            $content.slideDown(200);
+            $(this).addClass('expanded');
+        }
+    });
+    
     // ==================== ADVANCED SETTINGS TOGGLE (Qdrant Tab) ====================
     $('#ct_qdrant_advanced_toggle').on('click', function() {
         const $content = $('#ct_qdrant_advanced_content');
@@ -4227,6 +7361,9 @@ function initialize_ui_listeners() {
     // ==================== POPOUT FEATURE ====================
     // Add popout button to drawer header
     add_popout_button();
+
+    // Mark settings overridden by the character/chat layers
+    refresh_bound_settings();
 }
 
 // Tab navigation functionality
@@ -4264,9 +7401,11 @@ function bind_range_setting(selector, key, displaySelector, isFloat = false) {
     }
     
     // Set initial value
-    const initialValue = get_settings(key);
-    $element.val(initialValue);
-    $display.text(isFloat ? initialValue.toFixed(2) : initialValue);
+    register_bound_setting(selector, key, () => {
+        const initialValue = get_settings(key);
+        $element.val(initialValue);
+        $display.text(isFloat ? initialValue.toFixed(2) : initialValue);
+    });
     
     // Listen for input (live update) and change (final value)
     $element.on('input', function() {
@@ -4277,7 +7416,8 @@ function bind_range_setting(selector, key, displaySelector, isFloat = false) {
     $element.on('change', function() {
         const value = isFloat ? parseFloat($(this).val()) : parseInt($(this).val());
         debug(`Setting [${key}] changed to [${value}]`);
-        set_settings(key, value);
+        set_settings(key, value, SETTINGS_EDIT_LAYER);
+        refresh_bound_settings();
     });
 }
 
@@ -4292,9 +7432,11 @@ function bind_range_setting_percent(selector, key, displaySelector) {
     }
     
     // Set initial value
-    const initialValue = get_settings(key);
-    $element.val(initialValue);
-    $display.text(`${Math.round(initialValue * 100)}%`);
+    register_bound_setting(selector, key, () => {
+        const initialValue = get_settings(key);
+        $element.val(initialValue);
+        $display.text(`${Math.round(initialValue * 100)}%`);
+    });
     
     // Listen for input (live update) and change (final value)
     $element.on('input', function() {
@@ -4305,7 +7447,8 @@ function bind_range_setting_percent(selector, key, displaySelector) {
     $element.on('change', function() {
         const value = parseFloat($(this).val());
         debug(`Setting [${key}] changed to [${value}]`);
-        set_settings(key, value);
+        set_settings(key, value, SETTINGS_EDIT_LAYER);
+        refresh_bound_settings();
     });
 }
 
@@ -4320,9 +7463,11 @@ function bind_range_setting_float(selector, key, displaySelector, decimals = 2)
     }
     
     // Set initial value
-    const initialValue = get_settings(key);
-    $element.val(initialValue);
-    $display.text(initialValue.toFixed(decimals));
+    register_bound_setting(selector, key, () => {
+        const initialValue = get_settings(key);
+        $element.val(initialValue);
+        $display.text(initialValue.toFixed(decimals));
+    });
     
     // Listen for input (live update) and change (final value)
     $element.on('input', function() {
@@ -4333,7 +7478,8 @@ function bind_range_setting_float(selector, key, displaySelector, decimals = 2)
     $element.on('change', function() {
         const value = parseFloat($(this).val());
         debug(`Setting [${key}] changed to [${value}]`);
-        set_settings(key, value);
+        set_settings(key, value, SETTINGS_EDIT_LAYER);
+        refresh_bound_settings();
     });
 }
 
@@ -4400,7 +7546,274 @@ async function test_qdrant_connection() {
         }, 10000);
     }
 }
-// Test Summary Endpoint (OpenAI-compatible)
+// ==================== SUMMARY ENDPOINT PROTOCOLS ====================
+// REQ-024: One adapter per server API. Each knows its default path, builds the request body and
+// extracts the text from the response. With protocol 'auto' the Test button probes the endpoint
+// and remembers the adapter that answered; until then the URL path decides.
+
+// REQ-025: Optional sampling fields go in only when set, so servers keep their own defaults
+function with_optional(body, fields) {
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)) {
+            body[key] = value;
+        }
+    }
+    return body;
+}
+
+const SUMMARY_PROTOCOLS = {
+    openai_chat: {
+        label: 'OpenAI Chat',
+        path: '/v1/chat/completions',
+        build: ({ prompt, model, maxTokens, sampling }) => with_optional({
+            model: model || 'gpt-3.5-turbo',
+            messages: [
+                { role: 'system', content: sampling.system },
+                { role: 'user', content: prompt }
+            ],
+            max_tokens: maxTokens,
+            temperature: sampling.temperature,
+        }, {
+            top_p: sampling.top_p,
+            stop: sampling.stop,
+            presence_penalty: sampling.presence_penalty,
+            frequency_penalty: sampling.frequency_penalty,
+            // GLM-4: Disable deep thinking mode to prevent <think> blocks. Without it GLM-4.5 Air
+            // exhausts the token budget with thinking, truncating summaries mid-sentence.
+            // Most APIs ignore the unknown key; the ones that reject it can switch it off (REQ-025).
+            // Fallback defense: clean_summary_output() strips any <think> blocks that slip through
+            thinking: sampling.disable_thinking ? { type: 'disabled' } : undefined,
+        }),
+        // Servers that answer chat requests in completions shape are accepted too
+        extract: (data) => data?.choices?.[0]?.message?.content ?? data?.choices?.[0]?.text ?? data?.text,
+    },
+    openai_completions: {
+        label: 'OpenAI Completions',
+        path: '/v1/completions',
+        build: ({ prompt, model, maxTokens, sampling }) => with_optional({
+            model: model || 'gpt-3.5-turbo-instruct',
+            prompt: prepend_system_prompt(prompt, sampling.system),
+            max_tokens: maxTokens,
+            temperature: sampling.temperature,
+        }, {
+            top_p: sampling.top_p,
+            stop: sampling.stop,
+            presence_penalty: sampling.presence_penalty,
+            frequency_penalty: sampling.frequency_penalty,
+        }),
+        extract: (data) => data?.choices?.[0]?.text,
+    },
+    ollama_chat: {
+        label: 'Ollama Chat',
+        path: '/api/chat',
+        needsModel: true,
+        build: ({ prompt, model, maxTokens, sampling }) => ({
+            model,
+            messages: [
+                { role: 'system', content: sampling.system },
+                { role: 'user', content: prompt }
+            ],
+            stream: false,
+            options: build_ollama_options(maxTokens, sampling),
+        }),
+        extract: (data) => data?.message?.content,
+    },
+    ollama_generate: {
+        label: 'Ollama Generate',
+        path: '/api/generate',
+        needsModel: true,
+        build: ({ prompt, model, maxTokens, sampling }) => ({
+            model,
+            prompt,
+            system: sampling.system,
+            stream: false,
+            options: build_ollama_options(maxTokens, sampling),
+        }),
+        extract: (data) => data?.response,
+    },
+    koboldcpp: {
+        label: 'KoboldCPP',
+        path: '/api/v1/generate',
+        build: ({ prompt, maxTokens, sampling }) => with_optional({
+            prompt: prepend_system_prompt(prompt, sampling.system),
+            max_length: maxTokens,
+            temperature: sampling.temperature,
+        }, {
+            top_p: sampling.top_p,
+            stop_sequence: sampling.stop,
+        }),
+        extract: (data) => data?.results?.[0]?.text,
+    },
+    llamacpp: {
+        label: 'llama.cpp',
+        path: '/completion',
+        build: ({ prompt, maxTokens, sampling }) => with_optional({
+            prompt: prepend_system_prompt(prompt, sampling.system),
+            n_predict: maxTokens,
+            temperature: sampling.temperature,
+            stream: false,
+        }, {
+            top_p: sampling.top_p,
+            stop: sampling.stop,
+            presence_penalty: sampling.presence_penalty,
+            frequency_penalty: sampling.frequency_penalty,
+        }),
+        extract: (data) => data?.content,
+    },
+};
+
+// REQ-025: Text-completion protocols have no system slot - the system prompt goes in front
+function prepend_system_prompt(prompt, system) {
+    return system ? `${system}\n\n${prompt}` : prompt;
+}
+
+function build_ollama_options(maxTokens, sampling) {
+    return with_optional({ num_predict: maxTokens, temperature: sampling.temperature }, {
+        top_p: sampling.top_p,
+        stop: sampling.stop,
+        presence_penalty: sampling.presence_penalty,
+        frequency_penalty: sampling.frequency_penalty,
+    });
+}
+
+// REQ-025: Sampling settings for the summary endpoint. Defaults (top_p 1, penalties 0, no stop
+// sequences) are left out of the request. overrides: e.g. the Test probe's own temperature.
+function get_summary_sampling(overrides = {}) {
+    const topP = Number(get_settings('summary_top_p'));
+    const presence = Number(get_settings('summary_presence_penalty')) || 0;
+    const frequency = Number(get_settings('summary_frequency_penalty')) || 0;
+    const stop = String(get_settings('summary_stop_sequences') || '')
+        .split('\n')
+        .map(sequence => sequence.replace(/\\n/g, '\n'))
+        .filter(sequence => sequence.length > 0);
+
+    return {
+        system: get_settings('summary_system_prompt') || default_settings.summary_system_prompt,
+        temperature: Number(get_settings('summary_temperature') ?? 0.2),
+        top_p: topP > 0 && topP < 1 ? topP : undefined,
+        stop,
+        presence_penalty: presence !== 0 ? presence : undefined,
+        frequency_penalty: frequency !== 0 ? frequency : undefined,
+        disable_thinking: !!get_settings('summary_disable_glm_thinking'),
+        ...overrides,
+    };
+}
+
+// REQ-025: Extra body fields (a JSON object), merged over the adapter's body
+function parse_summary_extra_body(text = get_settings('summary_extra_body')) {
+    if (!text || !text.trim()) return {};
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid extra body JSON: ${e.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('Extra body must be a JSON object');
+    }
+    return parsed;
+}
+
+// Adapter implied by the URL path (longest matching path wins), or null
+function guess_summary_protocol(url) {
+    let path;
+    try { path = new URL(url).pathname.replace(/\/+$/, ''); } catch (e) { return null; }
+    const matches = Object.entries(SUMMARY_PROTOCOLS)
+        .filter(([, protocol]) => path.endsWith(protocol.path))
+        .sort((a, b) => b[1].path.length - a[1].path.length);
+    return matches[0]?.[0] ?? null;
+}
+
+// Protocol in effect: the explicit choice, else the probed one, else the URL's, else OpenAI Chat
+function get_summary_protocol(url = get_settings('summary_endpoint_url')) {
+    const chosen = get_settings('summary_endpoint_protocol');
+    if (chosen && chosen !== 'auto' && SUMMARY_PROTOCOLS[chosen]) return chosen;
+    const detected = get_settings('summary_endpoint_detected_protocol');
+    if (detected && SUMMARY_PROTOCOLS[detected]) return detected;
+    return guess_summary_protocol(url) ?? 'openai_chat';
+}
+
+// Full request URL. A bare host (or .../v1) gets the adapter's path appended; any other path is
+// taken as the complete endpoint.
+function resolve_summary_endpoint_url(url, protocolKey) {
+    const parsed = new URL(url);
+    const path = parsed.pathname.replace(/\/+$/, '');
+    const protocolPath = SUMMARY_PROTOCOLS[protocolKey].path;
+    if (path === '') {
+        parsed.pathname = protocolPath;
+    } else if (path.endsWith('/v1') && protocolPath.startsWith('/v1/')) {
+        parsed.pathname = path + protocolPath.slice(3);
+    }
+    return parsed.toString();
+}
+
+// Text of a response body, or '' when this adapter does not recognize its shape
+function extract_protocol_content(protocolKey, data) {
+    const content = SUMMARY_PROTOCOLS[protocolKey].extract(data);
+    return typeof content === 'string' ? content : '';
+}
+
+// POST one prompt with the given adapter; resolves to the fetch Response
+async function send_summary_request(url, protocolKey, prompt, { model, apiKey, maxTokens, sampling, signal }) {
+    const protocol = SUMMARY_PROTOCOLS[protocolKey];
+    if (protocol.needsModel && !model) {
+        throw new Error(`${protocol.label} needs a model name`);
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    return fetch(resolve_summary_endpoint_url(url, protocolKey), {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ ...protocol.build({ prompt, model, maxTokens, sampling }), ...parse_summary_extra_body() }),
+        signal,
+    });
+}
+
+// Ollama requires a model - without one configured, take the first installed model
+async function get_ollama_default_model(url, signal) {
+    try {
+        const resp = await fetch(new URL('/api/tags', url).toString(), { signal });
+        if (!resp.ok) return '';
+        const data = await resp.json();
+        return data?.models?.[0]?.name || '';
+    } catch (e) {
+        return '';
+    }
+}
+
+// Try one adapter with a short prompt. Returns { ok, sample, status, model }
+async function probe_summary_protocol(url, protocolKey, { apiKey, model }) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 10000);
+    try {
+        let probeModel = model;
+        if (SUMMARY_PROTOCOLS[protocolKey].needsModel && !probeModel) {
+            probeModel = await get_ollama_default_model(url, controller.signal);
+            if (!probeModel) return { ok: false, status: 'no model' };
+        }
+
+        const resp = await send_summary_request(url, protocolKey, 'Confirm you are connected with a friendly greeting. Maximum 3 words.', {
+            model: probeModel,
+            apiKey,
+            maxTokens: 20,
+            sampling: get_summary_sampling({ temperature: 0.7 }),
+            signal: controller.signal,
+        });
+        if (!resp.ok) return { ok: false, status: resp.status };
+
+        let data = null;
+        try { data = await resp.json(); } catch (e) { return { ok: false, status: 'not JSON' }; }
+        const sample = extract_protocol_content(protocolKey, data).trim();
+        return sample ? { ok: true, sample, model: probeModel } : { ok: false, status: 'unexpected response shape' };
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// Test Summary Endpoint
+// REQ-024: With protocol 'auto', probes the URL's own adapter first, then the others
 async function test_summary_endpoint() {
     const $status = $('#ct_summary_endpoint_status');
     const $button = $('#ct_summary_endpoint_test');
@@ -4408,94 +7821,166 @@ async function test_summary_endpoint() {
     // Read values from UI or fallback to settings
     const urlInput = ($('#ct_summary_endpoint_url').length ? $('#ct_summary_endpoint_url').val() : null) || get_settings('summary_endpoint_url');
     const apiKeyInput = ($('#ct_summary_endpoint_api_key').length ? $('#ct_summary_endpoint_api_key').val() : null) || get_settings('summary_endpoint_api_key');
+    const model = get_settings('summary_endpoint_model');
 
     if (!urlInput) {
         $status.removeClass().addClass('ct_status_message ct_status_error').text('Invalid URL');
         return;
     }
 
-    let parsedUrl;
     try {
-        parsedUrl = new URL(urlInput);
+        new URL(urlInput);
     } catch (e) {
         $status.removeClass().addClass('ct_status_message ct_status_error').text('Invalid URL');
         return;
     }
 
-    $status.removeClass().addClass('ct_status_message ct_status_info').text('Testing connection...');
-    $button.prop('disabled', true);
-
-    // We'll reuse the same parsing logic used by call_summary_endpoint to ensure parity
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 10000);
+    const chosen = get_settings('summary_endpoint_protocol');
+    const autoDetect = !chosen || chosen === 'auto';
+    let candidates = [get_summary_protocol(urlInput)];
+    if (autoDetect) {
+        const guessed = guess_summary_protocol(urlInput);
+        candidates = [...new Set([guessed ?? 'openai_chat', ...Object.keys(SUMMARY_PROTOCOLS)])];
+    }
 
-    const headers = { 'Content-Type': 'application/json' };
-    if (apiKeyInput) headers['Authorization'] = `Bearer ${apiKeyInput}`;
-
-    const body = JSON.stringify({
-        model: 'gpt-3.5-turbo',
-        messages: [
-            { role: 'system', content: 'You are a helpful assistant. Respond directly without showing your thinking process.' },
-            { role: 'user', content: 'Confirm you are connected with a friendly greeting. Maximum 3 words.' }
-        ],
-        max_tokens: 20,
-        temperature: 0.7
-    });
+    $button.prop('disabled', true);
+    const failures = [];
 
     try {
-        const resp = await fetch(parsedUrl.toString(), {
-            method: 'POST',
-            headers: headers,
-            body: body,
-            signal: controller.signal
-        });
-
-        clearTimeout(timeout);
+        for (const protocolKey of candidates) {
+            const label = SUMMARY_PROTOCOLS[protocolKey].label;
+            $status.removeClass().addClass('ct_status_message ct_status_info').text(`Testing connection (${label})...`);
 
-        if (resp.ok) {
-            let dataText = '';
+            let result;
             try {
-                const data = await resp.json();
-                dataText = extract_model_content(data);
+                result = await probe_summary_protocol(urlInput, protocolKey, { apiKey: apiKeyInput, model });
             } catch (e) {
-                // Not JSON or unexpected shape
-                const text = await resp.text();
-                dataText = text;
+                if (e.name === 'AbortError') result = { ok: false, status: 'timed out (10s)' };
+                else if (e instanceof TypeError) result = { ok: false, status: `network/CORS error: ${e.message}` };
+                else result = { ok: false, status: e.message || String(e) };
             }
 
-            if (dataText && dataText.toString().trim().length > 0) {
-                const sample = dataText.toString().trim().substring(0, 120);
-                $status.removeClass().addClass('ct_status_message ct_status_success').text(`Connected! Sample reply: "${sample}"`);
-            } else {
-                $status.removeClass().addClass('ct_status_message ct_status_error').text('Unexpected response shape');
+            if (result.ok) {
+                if (autoDetect) {
+                    set_settings('summary_endpoint_detected_protocol', protocolKey);
+                    debug_trunc(`Summary endpoint protocol detected: ${protocolKey}`);
+                }
+                if (result.model && !model) {
+                    set_settings('summary_endpoint_model', result.model);
+                    refresh_bound_settings();
+                }
+                update_summary_protocol_display();
+                const sample = result.sample.substring(0, 120);
+                $status.removeClass().addClass('ct_status_message ct_status_success').text(`Connected (${label})! Sample reply: "${sample}"`);
+                return;
             }
 
-        } else if (resp.status === 401 || resp.status === 403) {
-            $status.removeClass().addClass('ct_status_message ct_status_error').text(`Authentication failed (HTTP ${resp.status})`);
-        } else {
-            $status.removeClass().addClass('ct_status_message ct_status_error').text(`Connection failed: HTTP ${resp.status}: ${resp.statusText}`);
-        }
-    } catch (e) {
-        clearTimeout(timeout);
-        if (e.name === 'AbortError') {
-            $status.removeClass().addClass('ct_status_message ct_status_error').text('Connection timed out (10s)');
-        } else if (e instanceof TypeError) {
-            $status.removeClass().addClass('ct_status_message ct_status_error').text(`Network/CORS error: ${e.message}`);
-        } else {
-            $status.removeClass().addClass('ct_status_message ct_status_error').text(`Error: ${e.message || String(e)}`);
+            if (result.status === 401 || result.status === 403) {
+                $status.removeClass().addClass('ct_status_message ct_status_error').text(`Authentication failed (HTTP ${result.status})`);
+                return;
+            }
+            failures.push(`${label}: ${typeof result.status === 'number' ? `HTTP ${result.status}` : result.status}`);
         }
+
+        $status.removeClass().addClass('ct_status_message ct_status_error').text(`Connection failed - ${failures.join('; ')}`);
     } finally {
         $button.prop('disabled', false);
     }
 }
 
+// Show which adapter is in effect next to the protocol select
+function update_summary_protocol_display() {
+    const url = get_settings('summary_endpoint_url');
+    const chosen = get_settings('summary_endpoint_protocol');
+    let text = '';
+    if (url && (!chosen || chosen === 'auto')) {
+        const detected = get_settings('summary_endpoint_detected_protocol');
+        const protocol = SUMMARY_PROTOCOLS[get_summary_protocol(url)];
+        text = detected ? `Detected: ${protocol.label}` : `From URL: ${protocol.label} (Test to detect)`;
+    }
+    $('#ct_summary_protocol_detected').text(text);
+}
+
+// ==================== SUMMARY RATE LIMITS ====================
+// REQ-021: Sliding one-minute window per endpoint, shared by all summary workers. A 429/503
+// pauses the endpoint for every worker until its Retry-After (or the retry backoff) has passed.
+
+const SUMMARY_RATE_WINDOW_MS = 60000;
+const SUMMARY_RATE_LIMITERS = new Map();  // endpoint URL -> [{ time, tokens }]
+const SUMMARY_RATE_BLOCKED_UNTIL = new Map();  // endpoint URL -> time the endpoint may be called again
+
+// Wait in ms from a Retry-After header (seconds or HTTP date), null when absent or unreadable
+function parse_retry_after(resp) {
+    const value = resp.headers?.get('retry-after');
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Hold every request to `url` for `waitMs` (keeps the later time when already held)
+function block_summary_endpoint(url, waitMs) {
+    const until = Date.now() + waitMs;
+    if (until > (SUMMARY_RATE_BLOCKED_UNTIL.get(url) ?? 0)) {
+        SUMMARY_RATE_BLOCKED_UNTIL.set(url, until);
+    }
+}
+
+// Resolves once the endpoint is no longer held and a request of `tokens` fits inside its RPM/TPM budget
+async function wait_for_summary_rate_limit(url, tokens, signal = null) {
+    let blockedUntil = SUMMARY_RATE_BLOCKED_UNTIL.get(url) ?? 0;
+    if (blockedUntil > Date.now()) {
+        debug_trunc(`Summary endpoint rate limited, waiting ${Math.round((blockedUntil - Date.now()) / 1000)}s`);
+    }
+    while (blockedUntil > Date.now()) {
+        if (signal?.aborted) {
+            throw new DOMException('Summary request aborted', 'AbortError');
+        }
+        await new Promise(resolve => setTimeout(resolve, Math.min(1000, blockedUntil - Date.now())));
+        blockedUntil = SUMMARY_RATE_BLOCKED_UNTIL.get(url) ?? 0;
+    }
+
+    const rpm = Number(get_settings('summary_rate_limit_rpm')) || 0;
+    const tpm = Number(get_settings('summary_rate_limit_tpm')) || 0;
+    if (rpm <= 0 && tpm <= 0) return;
+
+    if (!SUMMARY_RATE_LIMITERS.has(url)) {
+        SUMMARY_RATE_LIMITERS.set(url, []);
+    }
+    const entries = SUMMARY_RATE_LIMITERS.get(url);
+    let logged = false;
+
+    while (true) {
+        if (signal?.aborted) {
+            throw new DOMException('Summary request aborted', 'AbortError');
+        }
+
+        const now = Date.now();
+        while (entries.length > 0 && now - entries[0].time >= SUMMARY_RATE_WINDOW_MS) {
+            entries.shift();
+        }
+        const usedTokens = entries.reduce((sum, entry) => sum + entry.tokens, 0);
+        const requestsOk = rpm <= 0 || entries.length < rpm;
+        // A single request larger than the whole TPM budget still goes through on an empty entries
+        const tokensOk = tpm <= 0 || usedTokens + tokens <= tpm || entries.length === 0;
+
+        if (requestsOk && tokensOk) {
+            entries.push({ time: now, tokens });
+            return;
+        }
 
-// Call summary endpoint (OpenAI-compatible). Returns the raw model output as string.
-function extract_model_content(data) {
-    if (!data) return '';
-    return (data?.choices && data.choices[0]) ? (data.choices[0].message?.content || data.choices[0].text) : (data?.text || '');
+        const waitMs = Math.max(50, Math.min(1000, entries[0].time + SUMMARY_RATE_WINDOW_MS - now));
+        if (!logged) {
+            debug_trunc(`Summary rate limit reached (${entries.length} requests, ${usedTokens} tokens in the last minute), waiting`);
+            logged = true;
+        }
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
 }
 
+
+// Call summary endpoint (REQ-024: through the adapter of its protocol). Returns the raw model output as string.
 async function call_summary_endpoint(prompt, options = {}) {
     const { signal = null, attempt = 0, maxTokensOverride = null } = options;
     const url = get_settings('summary_endpoint_url');
@@ -4504,8 +7989,11 @@ async function call_summary_endpoint(prompt, options = {}) {
 
     if (!url) throw new Error('No summary endpoint configured');
 
-    let parsed;
-    try { parsed = new URL(url); } catch (e) { throw new Error('Invalid summary endpoint URL'); }
+    try { new URL(url); } catch (e) { throw new Error('Invalid summary endpoint URL'); }
+    const protocolKey = get_summary_protocol(url);
+
+    const maxTokens = maxTokensOverride || get_settings('summary_max_tokens') || 800;
+    await wait_for_summary_rate_limit(url, count_tokens(prompt) + maxTokens, signal);
 
     const controller = new AbortController();
     // NO TIMEOUT - wait indefinitely for LLM response
@@ -4516,47 +8004,24 @@ async function call_summary_endpoint(prompt, options = {}) {
         signal.addEventListener('abort', () => controller.abort());
     }
 
-    const headers = { 'Content-Type': 'application/json' };
-    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
-
-    const body = JSON.stringify({
-        model: 'gpt-3.5-turbo',
-        messages: [
-            { role: 'system', content: 'You are a helpful assistant. Respond directly without showing your thinking process.' },
-            { role: 'user', content: prompt }
-        ],
-        max_tokens: maxTokensOverride || get_settings('summary_max_tokens') || 800,
-        temperature: 0.2,
-        thinking: { type: 'disabled' }  // GLM-4: Disable deep thinking mode to prevent <think> blocks
-        // NOTE: The `thinking` parameter is GLM-4 specific but harmless for other APIs.
-        // - GLM-4 models via TabbyAPI: Prevents ~400+ token <think> blocks from consuming token budget
-        // - OpenAI/Anthropic/other APIs: Silently ignored (not part of their API spec)
-        // - Fallback defense: clean_summary_output() strips any <think> blocks that slip through
-        // Without this, GLM-4.5 Air exhausts the 800 token budget with thinking, truncating summaries mid-sentence
-    });
-
     try {
-        const resp = await fetch(parsed.toString(), {
-            method: 'POST',
-            headers,
-            body,
+        const resp = await send_summary_request(url, protocolKey, prompt, {
+            model: get_settings('summary_endpoint_model'),
+            apiKey,
+            maxTokens,
+            sampling: get_summary_sampling(),
             signal: controller.signal
         });
 
         // Handle retryable errors
         if (resp.status === 503 || resp.status === 429) {
+            // REQ-021: The whole endpoint waits, not just this request - the retry and every
+            // other worker pass through wait_for_summary_rate_limit
+            const backoffMs = parse_retry_after(resp) ?? Math.pow(2, attempt) * 1000 + Math.random() * 500;
+            block_summary_endpoint(url, backoffMs);
             if (attempt < maxRetries) {
-                const backoffMs = Math.pow(2, attempt) * 1000 + Math.random() * 500;
                 debug_trunc(`HTTP ${resp.status}, retry ${attempt + 1}/${maxRetries} after ${Math.round(backoffMs)}ms`);
-                
-                await new Promise(resolve => setTimeout(resolve, backoffMs));
-                
-                // Check if aborted during backoff
-                if (signal?.aborted) {
-                    throw new Error('Aborted during retry backoff');
-                }
-                
-                return call_summary_endpoint(prompt, { signal, attempt: attempt + 1 });
+                return call_summary_endpoint(prompt, { signal, attempt: attempt + 1, maxTokensOverride });
             }
             const text = await resp.text();
             throw new Error(`HTTP ${resp.status} after ${maxRetries} retries: ${text}`);
@@ -4573,7 +8038,7 @@ async function call_summary_endpoint(prompt, options = {}) {
             return txt;
         }
 
-        const content = extract_model_content(data);
+        const content = extract_protocol_content(protocolKey, data);
         
         // Retry on empty response
         if (!content || content.trim().length === 0) {
@@ -4582,7 +8047,7 @@ async function call_summary_endpoint(prompt, options = {}) {
                 debug_trunc(`Empty response, retry ${attempt + 1}/${maxRetries} after ${Math.round(backoffMs)}ms`);
                 await new Promise(resolve => setTimeout(resolve, backoffMs));
                 if (signal?.aborted) throw new Error('Aborted during retry backoff');
-                return call_summary_endpoint(prompt, { signal, attempt: attempt + 1 });
+                return call_summary_endpoint(prompt, { signal, attempt: attempt + 1, maxTokensOverride });
             }
             throw new Error('Empty response after max retries');
         }
@@ -5643,8 +9108,8 @@ async function vectorize_delayed_messages() {
     for (let i = 0; i < threshold; i++) {
         const message = chat[i];
         
-        // Skip system messages
-        if (message.is_system) continue;
+        // Skip system messages (REQ-013: hidden ones only if configured)
+        if (!can_vectorize_message(message)) continue;
         
         // Skip already processed
         if (get_data(message, 'vectorized') || get_data(message, 'chunked')) continue;
@@ -6249,8 +9714,8 @@ async function index_current_chat() {
 
             const message = chat[i];
 
-            // Skip system messages
-            if (message.is_system) {
+            // Skip system messages (REQ-013: hidden ones only if configured)
+            if (!can_vectorize_message(message)) {
                 continue;
             }
 
@@ -6449,18 +9914,36 @@ ${formattedMemories}
 let CURRENT_QDRANT_MEMORIES = [];
 let CURRENT_QDRANT_INJECTION = '';
 let INJECTED_QDRANT_MEMORIES = [];  // Memories that were actually injected (for display)
+let QDRANT_DEMAND_TOKENS = 0;  // REQ-009: Injection size before the budget share is applied
 
 // Refresh Qdrant memories (called before generation)
 async function refresh_qdrant_memories(updateDisplayMemories = true) {
     if (!get_settings('qdrant_enabled')) {
         CURRENT_QDRANT_MEMORIES = [];
         CURRENT_QDRANT_INJECTION = '';
+        QDRANT_DEMAND_TOKENS = 0;
         return;
     }
     
     try {
         CURRENT_QDRANT_MEMORIES = await retrieve_relevant_memories();
         CURRENT_QDRANT_INJECTION = format_memories_for_injection(CURRENT_QDRANT_MEMORIES);
+        QDRANT_DEMAND_TOKENS = get_qdrant_injection_tokens();
+
+        // REQ-009: Drop the least relevant memories until the injection fits its budget share
+        if (get_settings('budget_allocator_enabled') && CURRENT_QDRANT_MEMORIES.length > 0) {
+            const share = get_budget_plan().planned.qdrant;
+            const memories = [...CURRENT_QDRANT_MEMORIES];
+            while (memories.length > 0 && count_tokens(format_memories_for_injection(memories)) > share) {
+                const weakest = memories.reduce((min, m, i) => m.score < memories[min].score ? i : min, 0);
+                memories.splice(weakest, 1);
+            }
+            if (memories.length < CURRENT_QDRANT_MEMORIES.length) {
+                debug_qdrant(`Budget share ${share} tokens: keeping ${memories.length}/${CURRENT_QDRANT_MEMORIES.length} memories`);
+                CURRENT_QDRANT_MEMORIES = memories;
+                CURRENT_QDRANT_INJECTION = format_memories_for_injection(CURRENT_QDRANT_MEMORIES);
+            }
+        }
 
         // Store a copy for display (so UI shows what was actually injected, not post-refresh results)
         if (updateDisplayMemories) {
@@ -6524,6 +10007,8 @@ jQuery(async function () {
     
     // Setup UI and events
     initialize_ui_listeners();
+    initialize_message_buttons();
+    initialize_summary_editor();
     register_event_listeners();
 
     // Ensure truncation index and calibration state are loaded on initial startup
@@ -0,0 +1,43 @@
+// Checks that the category factors learn from the blocks measured in the raw prompt.
+//   node tools/check_category_factors.mjs
+// The trace under-estimates the summary block: its {{user}} macros expand inside the prompt, so
+// the block there is longer than the injected text. Exits non-zero on the first mismatch.
+
+import assert from 'node:assert/strict';
+import { create_category_factors, find_prompt_block, update_category_factors } from '../calibration.js';
+
+// Whitespace tokenizer - enough to compare a block with its in-prompt copy
+const count_tokens = text => text.split(/\s+/).filter(Boolean).length;
+
+const STATIC = 'You are a narrator. Stay in character and write vivid replies.';
+const USER = 'Reginald Whitby';
+
+function build_injection(count) {
+    const lines = Array.from({ length: count }, (_, i) => `• {{user}} visited place ${i + 1}.`);
+    return `[STORY CONTEXT - Prior Events]\n${lines.join('\n')}\n[/STORY CONTEXT]`;
+}
+
+// What the prompt builder sends: macros expanded, the static prompt in front
+function build_raw_prompt(injection) {
+    return `${STATIC}\n\n${injection.replaceAll('{{user}}', USER)}\n\nUser: Hello`;
+}
+
+assert.equal(find_prompt_block(build_raw_prompt(build_injection(3)), 'not in the prompt'), null);
+assert.equal(find_prompt_block('', build_injection(3)), null);
+
+let factors = create_category_factors();
+for (let generation = 1; generation <= 12; generation++) {
+    const injection = build_injection(5 + generation);
+    const raw = build_raw_prompt(injection);
+    const summaries = count_tokens(find_prompt_block(raw, injection));
+    factors = update_category_factors(factors, {
+        actual: { summaries, memories: 0, static: count_tokens(STATIC) },
+        predicted_raw: { summaries: count_tokens(injection), memories: 0, static: count_tokens(STATIC) },
+    });
+}
+
+assert.ok(factors.summaries > 1.1, `summaries factor should rise above 1.1, got ${factors.summaries.toFixed(3)}`);
+assert.equal(factors.memories, 1, 'memories factor moved without a memory block');
+assert.ok(Math.abs(factors.static - 1) < 0.01, `static factor should stay at 1, got ${factors.static.toFixed(3)}`);
+
+console.log(`category factors: S ${factors.summaries.toFixed(3)} · M ${factors.memories.toFixed(3)} · P ${factors.static.toFixed(3)}`);
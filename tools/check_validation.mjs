@@ -0,0 +1,44 @@
+// Checks the default summary validation rules against known summaries.
+//   node tools/check_validation.mjs
+// Exits non-zero on the first mismatch.
+
+import assert from 'node:assert/strict';
+import { DEFAULT_VALIDATION_RULES, count_sentences, evaluate_validation_rules } from '../validation.js';
+
+const names = { char_name: 'Alice', user_name: 'Bob', max_words: 50 };
+
+// Summaries the former hardcoded checks accepted
+const accepted = [
+    'Alice: She paused... then left.',
+    'Alice: "Run!" she yelled, and they fled.',
+    'Alice: walks to the market and buys bread for dinner.',
+    'Bob: asks Dr. who about the plan?',
+];
+
+// Summaries they rejected, with the rule that fires
+const rejected = [
+    ['Alice: hi', 'Min 15 chars'],
+    ['Let me summarize this message', 'Speaker label'],
+    ['Alice: She left. Then he came back home.', 'Max 1 sentence'],
+    ['Alice: She paused... Then she left the room.', 'Max 1 sentence'],
+    ['Alice: <think>plan</think> goes home quietly', '<think> tag'],
+    ['Alice: goes home quietly (12 words)', 'Word count annotation'],
+    ['Alice: ' + 'word '.repeat(60).trim(), 'Max words (setting)'],
+];
+
+for (const summary of accepted) {
+    const result = evaluate_validation_rules(DEFAULT_VALIDATION_RULES, summary, names);
+    assert.equal(result.valid, true, `expected valid: ${summary} (${result.reason})`);
+}
+
+for (const [summary, rule] of rejected) {
+    const result = evaluate_validation_rules(DEFAULT_VALIDATION_RULES, summary, names);
+    assert.equal(result.valid, false, `expected invalid: ${summary}`);
+    assert.equal(result.rule, rule, `wrong rule for: ${summary}`);
+}
+
+assert.equal(count_sentences('她走了。他来了。'), 2);
+assert.equal(count_sentences('She paused... then left.'), 1);
+assert.equal(count_sentences('"Run!" she yelled. They fled.'), 2);
+
+console.log(`validation: ${accepted.length + rejected.length} summaries and 3 sentence counts checked`);
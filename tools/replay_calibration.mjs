@@ -0,0 +1,60 @@
+// Replays a calibration log through calibration.js.
+//   node tools/replay_calibration.mjs [calibration_log.json] [--utilization=0.8] [--tolerance=0.03]
+// The log is the Export JSON of the Calibration Log panel. Without an argument the synthetic log
+// in tools/fixtures is used - replay real exports by passing them in.
+//
+// Two checks, both must pass:
+//   recorded  sizes exactly as logged (follow_target: false). Over the last SETTLE_WINDOW
+//             generations every prediction, made with the replayed factor, is within
+//             --tolerance of the logged actual size. Nothing is re-sized, so this checks the
+//             factor math on its own.
+//   follow    sizes re-sized for the simulated target (resize_entry_for_target). The replay ends
+//             in STABLE and doesn't leave it during the last SETTLE_WINDOW generations. This
+//             checks the state machine against the re-sizing model, not against the log.
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { replay_calibration } from '../calibration.js';
+
+const SETTLE_WINDOW = 10;
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => Number(args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1] ?? fallback);
+const file = args.find(arg => !arg.startsWith('--'))
+    ?? fileURLToPath(new URL('./fixtures/synthetic_calibration_log.json', import.meta.url));
+const utilization = option('utilization', 0.80);
+const tolerance = option('tolerance', 0.03);
+
+const { log } = JSON.parse(readFileSync(file, 'utf8'));
+if (!Array.isArray(log) || log.length <= SETTLE_WINDOW) {
+    console.error(`${file}: needs more than ${SETTLE_WINDOW} logged generations`);
+    process.exit(1);
+}
+
+const format_phases = result => result.steps.map(step => step.phase[0] + (step.events.includes('destabilized') ? '!' : '')).join('');
+const format_percent = value => (value * 100).toFixed(1) + '%';
+let failed = false;
+
+console.log(`generations: ${log.length}   (phases W/I/C/S/R, ! = destabilized)`);
+
+const recorded = replay_calibration(log, { target_utilization: utilization, follow_target: false });
+const errors = recorded.steps.slice(-SETTLE_WINDOW).map(step => Math.abs(step.predicted - step.actual) / step.actual);
+const worst = Math.max(...errors);
+console.log(`recorded:    ${format_phases(recorded)}`);
+console.log(`             factor ${recorded.final.factor.toFixed(4)}, last ${SETTLE_WINDOW} prediction errors: ${errors.map(format_percent).join(' ')}`);
+if (worst > tolerance) {
+    console.error(`FAIL: recorded sizes - prediction error ${format_percent(worst)} over tolerance ${format_percent(tolerance)}`);
+    failed = true;
+}
+
+const follow = replay_calibration(log, { target_utilization: utilization });
+const tail = follow.steps.slice(-SETTLE_WINDOW);
+console.log(`follow:      ${format_phases(follow)}`);
+console.log(`             final ${follow.final.phase}, factor ${follow.final.factor.toFixed(4)}, target ${follow.final.target}`);
+if (!follow.converged || !tail.every(step => step.phase === 'STABLE')) {
+    console.error(`FAIL: re-sized replay did not settle in STABLE over the last ${SETTLE_WINDOW} generations`);
+    failed = true;
+}
+
+if (failed) process.exit(1);
+console.log(`OK: predictions within ${format_percent(tolerance)} of the log, re-sized replay settled in STABLE`);
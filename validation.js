@@ -0,0 +1,138 @@
+// Context Truncator - summary validation rules
+// REQ-023: Pure functions only, like calibration.js - the rule engine runs under Node for checks
+// (tools/check_validation.mjs). index.js supplies the rules from settings and the chat's names.
+//
+// Rule types: chars / words (min-max ranges), speaker (label policy), sentences (max count),
+// require / forbid (regexes). Severities: reject (drop, no retry), retry (regenerate), warn (keep,
+// but record it).
+
+export const VALIDATION_SEVERITIES = ['reject', 'retry', 'warn'];
+
+// Defaults reproduce the former hardcoded checks
+export const DEFAULT_VALIDATION_RULES = [
+    { type: 'chars', min: 15, max: 0, severity: 'retry', enabled: true },
+    { type: 'speaker', policy: 'required', severity: 'retry', enabled: true },
+    { type: 'words', min: 0, max: 0, severity: 'retry', enabled: true },
+    { type: 'forbid', name: '<think> tag', pattern: '</?think>', flags: 'i', severity: 'retry', enabled: true },
+    { type: 'forbid', name: 'Reasoning opener', pattern: '^(Hmm,?|Let me\\b|I need to\\b|First,|Looking at\\b|Analyzing\\b|I think\\b|Now,)', flags: 'i', severity: 'retry', enabled: true },
+    { type: 'forbid', name: 'Word count annotation', pattern: '\\(\\s*\\d+\\s*words?\\s*\\)', flags: 'i', severity: 'retry', enabled: true },
+    { type: 'sentences', max: 1, severity: 'retry', enabled: true },
+];
+
+export function create_validation_rule(type) {
+    const rule = { type, severity: 'retry', enabled: true };
+    switch (type) {
+        case 'chars': return { ...rule, min: 15, max: 0 };
+        case 'words': return { ...rule, min: 0, max: 0 };
+        case 'speaker': return { ...rule, policy: 'required' };
+        case 'sentences': return { ...rule, max: 1 };
+        default: return { ...rule, name: '', pattern: '', flags: 'i' };
+    }
+}
+
+// Short name of a rule for logs, messages and stats
+export function get_validation_rule_label(rule) {
+    switch (rule.type) {
+        case 'chars':
+        case 'words': {
+            const unit = rule.type;
+            if (rule.min > 0 && rule.max > 0) return `${rule.min}-${rule.max} ${unit}`;
+            if (rule.max > 0) return `Max ${rule.max} ${unit}`;
+            if (rule.type === 'words' && !(rule.min > 0)) return 'Max words (setting)';
+            return `Min ${rule.min} ${unit}`;
+        }
+        case 'speaker': return rule.policy === 'forbidden' ? 'No speaker label' : 'Speaker label';
+        case 'sentences': return `Max ${rule.max} sentence${rule.max === 1 ? '' : 's'}`;
+        default: return rule.name || `${rule.type === 'require' ? 'Require' : 'Forbid'} /${rule.pattern}/`;
+    }
+}
+
+function escape_regex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A terminator only ends a sentence when an uppercase letter follows (the former
+// /[.!?]\s+[A-Z]/ check, any script), so "paused... then" and '"Run!" she yelled' stay one
+// sentence. CJK full stops followed by more text count too.
+export function count_sentences(text) {
+    const ends = text.match(/[.!?…]+["'”’)\]*_]*\s+(?=["'“‘(*_]*\p{Lu})|[。！？]+(?=\S)/gu) || [];
+    return ends.length + 1;
+}
+
+// Failure reason for one rule, or null when the summary passes it. Invalid regexes pass (null).
+// names: { char_name, user_name }
+export function check_validation_rule(rule, text, { char_name = 'Character', user_name = 'User', max_words = 0 } = {}) {
+    switch (rule.type) {
+        case 'chars':
+        case 'words': {
+            const length = rule.type === 'chars' ? text.length : text.split(/\s+/).length;
+            // Words: max 0 follows the Max Words setting
+            const max = rule.max > 0 ? rule.max : (rule.type === 'words' ? max_words : 0);
+            if (rule.min > 0 && length < rule.min) return `Too short: ${length} ${rule.type} (min ${rule.min})`;
+            if (max > 0 && length > max) return `Too long: ${length} ${rule.type} (max ${max})`;
+            return null;
+        }
+        case 'speaker': {
+            const speakerPattern = new RegExp(`^(${escape_regex(char_name)}:|${escape_regex(user_name)}:|Narrator:)`, 'i');
+            const labeled = speakerPattern.test(text);
+            if (rule.policy === 'required' && !labeled) return 'Missing speaker label at start';
+            if (rule.policy === 'forbidden' && labeled) return 'Starts with a speaker label';
+            return null;
+        }
+        case 'sentences': {
+            const count = count_sentences(text);
+            return rule.max > 0 && count > rule.max ? `Too many sentences: ${count} (max ${rule.max})` : null;
+        }
+        case 'require':
+        case 'forbid': {
+            const regex = compile_rule_regex(rule);
+            if (!regex) return null;
+            const matched = regex.test(text);
+            if (rule.type === 'require' && !matched) return `Missing required pattern: ${get_validation_rule_label(rule)}`;
+            if (rule.type === 'forbid' && matched) return `Contains forbidden pattern: ${get_validation_rule_label(rule)}`;
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+// RegExp of a require/forbid rule, or null when the pattern is empty or invalid
+export function compile_rule_regex(rule) {
+    if (!rule.pattern) return null;
+    try {
+        return new RegExp(rule.pattern, rule.flags || '');
+    } catch (e) {
+        return null;
+    }
+}
+
+// Returns { valid, reason, rule, severity, warnings }. valid is false when a reject or retry
+// rule fails (the strongest one is reported); failed warn rules only land in warnings.
+export function evaluate_validation_rules(rules, summary, options = {}) {
+    if (!summary || typeof summary !== 'string') {
+        return { valid: false, reason: 'Empty or invalid summary', rule: 'Empty summary', severity: 'retry', warnings: [] };
+    }
+
+    const trimmed = summary.trim();
+    const warnings = [];
+    let failure = null;
+
+    for (const rule of rules || []) {
+        if (!rule?.enabled) continue;
+        const reason = check_validation_rule(rule, trimmed, options);
+        if (!reason) continue;
+
+        const entry = { reason, rule: get_validation_rule_label(rule), severity: rule.severity };
+        if (rule.severity === 'warn') {
+            warnings.push(entry);
+        } else if (!failure || (failure.severity === 'retry' && rule.severity === 'reject')) {
+            failure = entry;
+        }
+    }
+
+    if (failure) {
+        return { valid: false, ...failure, warnings };
+    }
+    return { valid: true, reason: null, rule: null, severity: null, warnings };
+}